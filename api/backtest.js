@@ -0,0 +1,306 @@
+/**
+ * Serverless API Function: Recommendation Backtest
+ *
+ * Replays the BUY/HOLD/SELL model (lib/recommendation.js) over a ticker's
+ * daily price history with lib/backtest.js: the signal on each rebalance
+ * date from what was known that day (the month's price trend, the latest
+ * earnings call before it and the archived macro readings published by
+ * then), the return until the next rebalance, hit rate, and the
+ * BUY-or-cash strategy against buy-and-hold and a benchmark. The provider's
+ * latest macro readings extend the archive past its last month, and
+ * `warnings` says when macro readings still miss some rebalance dates.
+ *
+ * Query Parameters:
+ * - ticker: Stock ticker (required)
+ * - range: 1y, 2y (default) or 5y of daily history
+ * - rebalance: monthly (default) or quarterly
+ * - benchmark: Benchmark ticker, or "sector" for the company's sector ETF (default SPY)
+ * - model, weights, thresholds: Recommendation model version and tuning, as /api/earnings-analysis
+ *
+ * Environment Variables Required:
+ * - API_KEY: API Ninjas authentication key (not needed with MARKET_DATA_PROVIDER=fixture)
+ */
+
+const { validateTicker, findUnknownTicker } = require('../lib/symbols');
+const { resolveBenchmarks } = require('../lib/benchmarks');
+const { selectPrices } = require('../lib/history');
+const { fetchTranscript } = require('../lib/transcripts');
+const { analyzeTranscriptSentiment } = require('../lib/sentiment');
+const { createScoreStore } = require('../lib/score-store');
+const { quartersEndingAt } = require('../lib/earnings');
+const { resolveModelRequest } = require('../lib/recommendation');
+const { BACKTEST_RANGES, resolveBacktestOptions, runBacktest } = require('../lib/backtest');
+const { MACRO_HISTORY_INDICATORS, withLatestReadings, describeMacroHistory } = require('../lib/macro-history');
+const { UpstreamError, settle } = require('../lib/upstream');
+const { getProvider } = require('../lib/providers');
+
+const DEFAULT_BENCHMARK = 'SPY';
+
+// Calls fetched at the same time
+const CALL_BATCH_SIZE = 4;
+
+// Cache for prices and scored calls (1 hour TTL - one new daily bar a day);
+// the model runs on every request, so tuning never refetches
+const cache = new Map();
+const CACHE_TTL = 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 20;
+
+// Sentiment of past calls, by ticker and quarter
+const callSentiment = createScoreStore('backtest');
+
+/**
+ * Scores a call with the fields the model reads
+ * @returns {Promise<Object|null>} { year, quarter, date, sentimentData }, or null when the
+ *   call has no date or management said nothing scorable
+ */
+async function scoreCall(ticker, transcript) {
+  const stored = callSentiment.get(ticker, transcript);
+  if (stored !== undefined) {
+    return stored;
+  }
+
+  const sentiment = transcript.date ? await analyzeTranscriptSentiment(transcript) : null;
+  const call = sentiment
+    ? {
+      year: transcript.year,
+      quarter: transcript.quarter,
+      date: transcript.date,
+      sentimentData: {
+        overall: sentiment.overall,
+        breakdown: sentiment.breakdown,
+        sentimentRatio: sentiment.sentimentRatio
+      }
+    }
+    : null;
+
+  callSentiment.set(ticker, transcript, call);
+  return call;
+}
+
+/**
+ * Scored call for a quarter, from the stored scores when it was scored before
+ * @returns {Promise<Object|null>}
+ */
+async function fetchScoredCall(provider, ticker, period) {
+  const stored = callSentiment.get(ticker, period);
+  if (stored !== undefined) {
+    return stored;
+  }
+
+  const transcript = await fetchTranscript(provider, ticker, period);
+  return transcript ? scoreCall(ticker, transcript) : null;
+}
+
+/**
+ * Scored earnings calls covering the replay window, oldest first
+ * A missing or failed transcript only leaves the sentiment factor without
+ * data for the dates it covered.
+ */
+async function fetchScoredCalls(provider, ticker, months) {
+  const latest = await settle(fetchTranscript(provider, ticker, null));
+  if (!latest.success || !latest.data) {
+    return [];
+  }
+
+  // One call a quarter, plus the call before the window opens
+  const periods = quartersEndingAt({ year: latest.data.year, quarter: latest.data.quarter }, months / 3 + 2).slice(1);
+  const results = [await settle(scoreCall(ticker, latest.data))];
+  for (let start = 0; start < periods.length; start += CALL_BATCH_SIZE) {
+    const batch = periods.slice(start, start + CALL_BATCH_SIZE);
+    results.push(...await Promise.all(batch.map(period => settle(fetchScoredCall(provider, ticker, period)))));
+  }
+
+  return results
+    .filter(result => result.success && result.data)
+    .map(result => result.data)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * The macro archive with the provider's latest readings added; a failed
+ * reading leaves the archive as bundled
+ */
+async function fetchMacroArchive(provider) {
+  const results = await Promise.all(MACRO_HISTORY_INDICATORS.map(indicator => settle(provider.macro(indicator))));
+  return withLatestReadings(Object.fromEntries(MACRO_HISTORY_INDICATORS.map((indicator, index) => [
+    indicator, results[index].success ? results[index].data : null
+  ])));
+}
+
+/**
+ * Fetches everything the replay reads: daily prices, the benchmark's, the calls and macro readings
+ * @returns {Promise<Object>} { currency, dates, prices, benchmark, calls, macro }
+ */
+async function fetchBacktestData(provider, ticker, { range, benchmark }) {
+  const [{ currency, bars }, benchmarkResult, calls, macro] = await Promise.all([
+    provider.history(ticker, { range, interval: '1d' }),
+    settle(provider.history(benchmark.ticker, { range, interval: '1d' })),
+    fetchScoredCalls(provider, ticker, BACKTEST_RANGES[range]),
+    fetchMacroArchive(provider)
+  ]);
+
+  if (bars.length === 0) {
+    throw new Error(`No valid price data for ${ticker}`);
+  }
+
+  let benchmarkSeries = null;
+  if (benchmarkResult.success && benchmarkResult.data.bars.length > 0) {
+    benchmarkSeries = {
+      ticker: benchmark.ticker,
+      name: benchmark.name,
+      dates: benchmarkResult.data.bars.map(bar => bar.date),
+      prices: selectPrices(benchmarkResult.data.bars, 'adjusted').prices
+    };
+  } else if (!benchmarkResult.success) {
+    console.log(`Benchmark ${benchmark.ticker} history failed:`, benchmarkResult.error.message);
+  }
+
+  return {
+    currency,
+    dates: bars.map(bar => bar.date),
+    prices: selectPrices(bars, 'adjusted').prices,
+    benchmark: benchmarkSeries,
+    calls,
+    macro
+  };
+}
+
+/**
+ * Runs the replay on fetched data and adds what it was built from
+ */
+function buildBacktest(ticker, range, data, options) {
+  const result = runBacktest(data, options);
+  if (!result) {
+    return null;
+  }
+
+  return {
+    ticker,
+    range,
+    currency: data.currency,
+    ...result,
+    calls: data.calls.map(({ year, quarter, date, sentimentData }) => ({
+      year, quarter, date, score: sentimentData.overall.score
+    })),
+    macroHistory: describeMacroHistory(data.macro)
+  };
+}
+
+/**
+ * Main handler with caching
+ */
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  // Validate the ticker's format before it goes into an upstream URL
+  const { ticker, error: tickerError } = validateTicker(req.query.ticker);
+
+  if (tickerError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: tickerError
+    });
+  }
+
+  const { range, rebalance, error: optionsError } = resolveBacktestOptions(req.query);
+  const { benchmarks, error: benchmarkError } = resolveBenchmarks(req.query.benchmark || DEFAULT_BENCHMARK, [ticker]);
+  const benchmarkCountError = benchmarks.length > 1
+    ? 'Only one benchmark can be requested'
+    : (benchmarks.length === 0 ? `No sector benchmark for ${ticker}` : null);
+  // Optional model version and tuning for the recommendation
+  const { model, error: modelError } = resolveModelRequest(req.query);
+
+  const validationError = optionsError || benchmarkError || benchmarkCountError || modelError;
+  if (validationError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: validationError
+    });
+  }
+  const benchmark = benchmarks[0];
+
+  // Transcripts need the API key when live
+  const provider = getProvider();
+  if (provider.configError) {
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: provider.configError
+    });
+  }
+
+  // Tickers outside the symbol master are confirmed with the provider
+  const unknownTicker = await findUnknownTicker(provider, [ticker, benchmark.ticker]);
+  if (unknownTicker) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: `Unknown ticker symbol: ${unknownTicker}`
+    });
+  }
+
+  try {
+    const cacheKey = `${ticker}_${range}_${benchmark.ticker}`;
+    const cached = cache.get(cacheKey);
+    const isCached = Boolean(cached && Date.now() - cached.timestamp < CACHE_TTL);
+
+    let data = isCached ? cached.data : null;
+    if (!data) {
+      data = await fetchBacktestData(provider, ticker, { range, benchmark });
+
+      cache.set(cacheKey, {
+        timestamp: Date.now(),
+        data
+      });
+
+      if (cache.size > MAX_CACHE_ENTRIES) {
+        const firstKey = cache.keys().next().value;
+        cache.delete(firstKey);
+      }
+    }
+
+    const backtest = buildBacktest(ticker, range, data, { rebalance, model });
+    if (!backtest) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: `Not enough price history for ${ticker} to rebalance ${rebalance} over ${range}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      cached: isCached,
+      data: backtest
+    });
+
+  } catch (error) {
+    console.error('Error running backtest:', error);
+
+    if (error instanceof UpstreamError) {
+      return res.status(error.httpStatus).json({
+        error: 'Upstream error',
+        message: error.message,
+        upstream: error
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,272 @@
+/**
+ * Serverless API Function: Comparison Analytics
+ *
+ * Fetches price history for several tickers, aligns them on the dates
+ * they share and returns the analytics behind the Compare tab:
+ * - Aligned price series (for percent-change and relative-strength charts)
+ * - Pairwise correlation matrix of period returns
+ * - Period return, volatility, max drawdown and Sharpe ratio per ticker,
+ *   ranked by period return
+ * - Optional benchmark series (e.g. S&P 500, a sector ETF) aligned on the
+ *   same dates, for chart overlays and excess-return comparisons
+ *
+ * Query Parameters:
+ * - tickers: Comma-separated ticker symbols (2 to 10, required)
+ * - range, interval, basis: Same as /api/history (default 1mo, 1d, adjusted); the
+ *   response's `basis` is the one every series used, close if any lacks adjusted closes
+ * - benchmarks: Comma-separated benchmark tickers (up to 4), "sector" for
+ *   the compared companies' sector ETFs (e.g. SPY,QQQ,sector)
+ */
+
+const { resolveCompanies } = require('../lib/watchlists');
+const { findUnknownTicker } = require('../lib/symbols');
+const { resolveBenchmarks } = require('../lib/benchmarks');
+const { resolveHistoryWindow, resolvePriceBasis, selectPrices, sharedPriceBasis } = require('../lib/history');
+const { alignSeries, alignToDates, correlationMatrix, computeRiskStatistics, getRiskFreeRate } = require('../lib/risk');
+const { UpstreamError, settle } = require('../lib/upstream');
+const { getProvider } = require('../lib/providers');
+
+const MIN_COMPARE_TICKERS = 2;
+const MAX_COMPARE_TICKERS = 10;
+
+// In-memory cache for comparisons (5-minute TTL, same as history)
+const cache = new Map();
+const CACHE_TTL = 5 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 20;
+
+/**
+ * Builds comparison analytics for a set of companies
+ * @param {Object} provider - Market data provider
+ * @param {Array<{ticker: string, name: string}>} companies - Companies to compare
+ * @param {Object} options - { range, interval, basis, benchmarks }
+ * @returns {Promise<Object>} Aligned series, correlation matrix and ranked performance
+ */
+async function buildComparison(provider, companies, { range, interval, basis, benchmarks = [] }) {
+  const [results, benchmarkResults, riskFreeRate] = await Promise.all([
+    Promise.all(companies.map(company => settle(provider.history(company.ticker, { range, interval })))),
+    Promise.all(benchmarks.map(benchmark => settle(provider.history(benchmark.ticker, { range, interval })))),
+    getRiskFreeRate(provider)
+  ]);
+
+  // Keep the tickers that loaded; report the rest
+  const loaded = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const company = companies[index];
+    if (result.success && result.data.bars.length > 0) {
+      loaded.push({ company, bars: result.data.bars, interval: result.data.interval });
+    } else {
+      failed.push({
+        ticker: company.ticker,
+        error: result.success ? 'No price data' : result.error.message
+      });
+    }
+  });
+
+  if (loaded.length < MIN_COMPARE_TICKERS) {
+    const firstError = results.find(result => !result.success);
+    if (firstError) {
+      throw firstError.error;
+    }
+    throw new Error(`Price data is available for fewer than ${MIN_COMPARE_TICKERS} tickers`);
+  }
+  // The provider may serve another interval than asked (fixtures have no intraday bars)
+  const barInterval = loaded[0].interval;
+
+  // A missing benchmark is reported but never fails the comparison
+  const loadedBenchmarks = [];
+  benchmarkResults.forEach((result, index) => {
+    const benchmark = benchmarks[index];
+    if (result.success && result.data.bars.length > 0) {
+      loadedBenchmarks.push({ benchmark, bars: result.data.bars });
+    } else {
+      failed.push({
+        ticker: benchmark.ticker,
+        benchmark: true,
+        error: result.success ? 'No price data' : result.error.message
+      });
+    }
+  });
+
+  // One basis for every series: if any lacks adjusted closes, all use the close
+  const usedBasis = sharedPriceBasis([...loaded, ...loadedBenchmarks].map(({ bars }) => bars), basis);
+  const toSeries = ({ bars }) => ({
+    dates: bars.map(bar => bar.date),
+    prices: selectPrices(bars, usedBasis).prices
+  });
+
+  // The analytics use the dates every company traded; benchmarks are then
+  // fitted to those dates, so adding one never changes a company's numbers
+  const aligned = alignSeries(loaded.map(toSeries));
+  const companyPrices = aligned.prices;
+  const benchmarkPrices = loadedBenchmarks.map(benchmark => alignToDates(aligned.dates, toSeries(benchmark)));
+  const tickers = loaded.map(({ company }) => company.ticker);
+
+  const performance = loaded
+    .map(({ company }, index) => {
+      const risk = computeRiskStatistics({
+        dates: aligned.dates,
+        prices: aligned.prices[index],
+        interval: barInterval,
+        riskFreeRate
+      });
+      const prices = aligned.prices[index];
+
+      return {
+        ticker: company.ticker,
+        companyName: company.name,
+        returnPercent: prices.length > 1
+          ? parseFloat(((prices[prices.length - 1] / prices[0] - 1) * 100).toFixed(2))
+          : null,
+        volatilityPercent: risk ? risk.volatilityPercent : null,
+        maxDrawdownPercent: risk ? risk.maxDrawdown.percent : null,
+        sharpeRatio: risk ? risk.sharpeRatio : null
+      };
+    })
+    .sort((a, b) => (b.returnPercent ?? -Infinity) - (a.returnPercent ?? -Infinity))
+    .map((row, index) => ({ rank: index + 1, ...row }));
+
+  return {
+    range,
+    interval: barInterval,
+    basis: usedBasis,
+    dates: aligned.dates,
+    series: loaded.map(({ company }, index) => ({
+      ticker: company.ticker,
+      companyName: company.name,
+      prices: aligned.prices[index]
+    })),
+    benchmarks: loadedBenchmarks.map(({ benchmark }, index) => ({
+      ticker: benchmark.ticker,
+      name: benchmark.name,
+      prices: benchmarkPrices[index]
+    })),
+    correlation: {
+      tickers,
+      matrix: correlationMatrix(companyPrices)
+    },
+    performance,
+    riskFreeRate,
+    failed
+  };
+}
+
+/**
+ * Main handler with caching
+ */
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  // Only explicit tickers are accepted (resolveCompanies would fall back to a watchlist)
+  const { companies, error: tickersError } = req.query.tickers
+    ? resolveCompanies({ tickers: req.query.tickers })
+    : { companies: [], error: null };
+  const countError = companies.length < MIN_COMPARE_TICKERS || companies.length > MAX_COMPARE_TICKERS
+    ? `Provide ${MIN_COMPARE_TICKERS} to ${MAX_COMPARE_TICKERS} comma-separated tickers`
+    : null;
+
+  if (tickersError || countError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: tickersError || countError
+    });
+  }
+
+  const { range, interval, error: windowError } = resolveHistoryWindow(req.query);
+  const { basis, error: basisError } = resolvePriceBasis(req.query);
+  const compareTickers = companies.map(company => company.ticker);
+  const { benchmarks: requestedBenchmarks, error: benchmarkError } =
+    resolveBenchmarks(req.query.benchmarks, compareTickers);
+
+  if (windowError || basisError || benchmarkError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: windowError || basisError || benchmarkError
+    });
+  }
+
+  // A compared company is already on the chart, so it is not also a benchmark
+  const benchmarks = requestedBenchmarks.filter(benchmark => !compareTickers.includes(benchmark.ticker));
+
+  // Price history works without an API key, so only a missing method is fatal
+  const provider = getProvider();
+  if (!provider.history) {
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: provider.configError
+    });
+  }
+
+  // Tickers outside the symbol master are confirmed with the provider
+  const unknownTicker = await findUnknownTicker(provider, [...compareTickers, ...benchmarks.map(benchmark => benchmark.ticker)]);
+  if (unknownTicker) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: `Unknown ticker symbol: ${unknownTicker}`
+    });
+  }
+
+  try {
+    const benchmarkKey = benchmarks.map(benchmark => benchmark.ticker).join(',');
+    const cacheKey = `${compareTickers.join(',')}_${range}_${interval}_${basis}_${benchmarkKey}`;
+    const cached = cache.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return res.status(200).json({
+        success: true,
+        cached: true,
+        data: cached.data
+      });
+    }
+
+    const comparison = await buildComparison(provider, companies, { range, interval, basis, benchmarks });
+
+    cache.set(cacheKey, {
+      timestamp: Date.now(),
+      data: comparison
+    });
+
+    if (cache.size > MAX_CACHE_ENTRIES) {
+      const firstKey = cache.keys().next().value;
+      cache.delete(firstKey);
+    }
+
+    return res.status(200).json({
+      success: true,
+      cached: false,
+      data: comparison
+    });
+
+  } catch (error) {
+    console.error('Error building comparison:', error);
+
+    if (error instanceof UpstreamError) {
+      return res.status(error.httpStatus).json({
+        error: 'Upstream error',
+        message: error.message,
+        upstream: error
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
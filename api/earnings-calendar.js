@@ -0,0 +1,162 @@
+/**
+ * Serverless API Function: Earnings Calendar
+ *
+ * Upcoming earnings report dates for a set of companies, merged into one
+ * schedule, plus each company's past reports: EPS and revenue against the
+ * consensus estimate (beat, miss or in line) and the stock's move the
+ * trading day after the release. Reports carry the fiscal year and
+ * quarter they cover, matching the filings from /api/earnings.
+ *
+ * Query Parameters:
+ * - tickers: Comma-separated ticker symbols (takes precedence)
+ * - watchlist: Preset watchlist id (defaults to the Big Tech watchlist)
+ *
+ * Environment Variables Required:
+ * - API_KEY: API Ninjas authentication key (not needed with MARKET_DATA_PROVIDER=fixture)
+ */
+
+const { resolveCompanies } = require('../lib/watchlists');
+const { findUnknownTicker } = require('../lib/symbols');
+const { fetchEarningsCalendar } = require('../lib/calendar');
+const { UpstreamError, settle } = require('../lib/upstream');
+const { getProvider } = require('../lib/providers');
+
+// In-memory cache for calendars (1-hour TTL, dates and estimates change slowly)
+const cache = new Map();
+const CACHE_TTL = 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 20;
+
+/**
+ * Builds every company's calendar and the combined upcoming schedule
+ * @param {Object} provider - Market data provider
+ * @param {Array<{ticker: string, name: string}>} companies - Companies to include
+ * @returns {Promise<Object>} { schedule, companies, failed }
+ */
+async function buildCalendars(provider, companies) {
+  const results = await Promise.all(
+    companies.map(company => settle(fetchEarningsCalendar(provider, company.ticker)))
+  );
+
+  const calendars = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    if (result.success) {
+      calendars.push({ ...result.data, companyName: companies[index].name });
+    } else {
+      failed.push({ ticker: companies[index].ticker, error: result.error.message });
+    }
+  });
+
+  if (calendars.length === 0) {
+    throw results[0].error;
+  }
+
+  const schedule = calendars
+    .flatMap(calendar => calendar.upcoming.map(report => ({
+      ticker: calendar.ticker,
+      companyName: calendar.companyName,
+      ...report
+    })))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.ticker.localeCompare(b.ticker));
+
+  return { schedule, companies: calendars, failed };
+}
+
+/**
+ * Main handler with caching
+ */
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  // Resolve the requested companies from `tickers` or `watchlist`
+  const { companies, watchlistId, error: watchlistError } = resolveCompanies(req.query);
+  if (watchlistError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: watchlistError
+    });
+  }
+
+  // Report dates and estimates need the API key when live
+  const provider = getProvider();
+  if (provider.configError) {
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: provider.configError
+    });
+  }
+
+  // Tickers outside the symbol master are confirmed with the provider
+  const unknownTicker = await findUnknownTicker(provider, companies.map(company => company.ticker));
+  if (unknownTicker) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: `Unknown ticker symbol: ${unknownTicker}`
+    });
+  }
+
+  try {
+    const cacheKey = companies.map(company => company.ticker).join(',');
+    const cached = cache.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return res.status(200).json({
+        success: true,
+        cached: true,
+        watchlist: watchlistId,
+        data: cached.data
+      });
+    }
+
+    const calendars = await buildCalendars(provider, companies);
+
+    cache.set(cacheKey, {
+      timestamp: Date.now(),
+      data: calendars
+    });
+
+    if (cache.size > MAX_CACHE_ENTRIES) {
+      const firstKey = cache.keys().next().value;
+      cache.delete(firstKey);
+    }
+
+    return res.status(200).json({
+      success: true,
+      cached: false,
+      watchlist: watchlistId,
+      data: calendars
+    });
+
+  } catch (error) {
+    console.error('Error building earnings calendar:', error);
+
+    if (error instanceof UpstreamError) {
+      return res.status(error.httpStatus).json({
+        error: 'Upstream error',
+        message: error.message,
+        upstream: error
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
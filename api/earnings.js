@@ -1,11 +1,31 @@
-const https = require('https');
+const { validateTicker, findUnknownTicker } = require('../lib/symbols');
+const { UpstreamError, settle } = require('../lib/upstream');
+const { getProvider } = require('../lib/providers');
+const { resolveSeriesRequest, fetchEarningsData, fetchEarningsSeries } = require('../lib/earnings');
+const { computeRatios } = require('../lib/ratios');
+const { getFiscalCalendar } = require('../lib/fiscal');
+const { fetchEarningsCalendar } = require('../lib/calendar');
 
 /**
- * API Ninjas Earnings endpoint
+ * Earnings endpoint (API Ninjas earnings filings when live)
  * Returns comprehensive financial data including:
  * - Income Statement (revenue, expenses, profit margins)
  * - Balance Sheet (assets, liabilities, equity)
  * - Cash Flow (operating, investing, financing)
+ * - Ratios (margins, ROE/ROA, liquidity, leverage, free cash flow, R&D intensity)
+ *
+ * With `quarters=N` (up to 20) or a `from`/`to` fiscal quarter range
+ * (e.g. from=2024Q1&to=2025Q4) it returns a quarterly series instead:
+ * revenue, net income, margins and EPS per quarter with QoQ and YoY growth.
+ *
+ * Both include the company's `fiscalCalendar` ({ yearEndMonth, yearLabel }),
+ * which also decides which quarter is probed first for the latest filing.
+ * A single filing also carries `report` (the earnings release covering it,
+ * EPS and revenue against estimates) and `nextReport` (the next scheduled
+ * release) from the earnings calendar, or null when it is unavailable.
+ * The calendar's reports are cached per ticker in lib/calendar.js and
+ * shared with /api/earnings-calendar, so a filing adds no calendar call
+ * for a ticker seen within the hour.
  */
 
 // Cache for earnings data (24 hour TTL since financial data doesn't change frequently)
@@ -13,129 +33,19 @@ const earningsCache = new Map();
 const CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
 /**
- * Fetches data from API Ninjas
+ * The calendar's release covering a filing and the next scheduled release
+ * @param {Object} filing - Earnings filing
+ * @param {Object|null} calendar - Output of fetchEarningsCalendar, null when unavailable
+ * @returns {{report: Object|null, nextReport: Object|null}}
  */
-function fetchFromApiNinjas(path, apiKey) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.api-ninjas.com',
-      path: path,
-      method: 'GET',
-      headers: {
-        'X-Api-Key': apiKey
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try {
-            const jsonData = JSON.parse(data);
-            resolve({ success: true, data: jsonData, statusCode: res.statusCode });
-          } catch (error) {
-            resolve({ success: false, message: 'Failed to parse JSON', statusCode: res.statusCode });
-          }
-        } else {
-          resolve({ success: false, message: data, statusCode: res.statusCode });
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(error);
-    });
-
-    req.end();
-  });
-}
-
-/**
- * Calculates the most recent completed fiscal quarter
- * Companies typically file earnings 45 days after quarter end
- */
-function getMostRecentQuarter() {
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth(); // 0-11
-
-  // Estimate most recent filed quarter based on current month
-  // Accounting for ~45 day filing delay
-  let quarter, year;
-
-  if (currentMonth >= 10) {
-    // November-December: Q3 should be filed
-    quarter = 3;
-    year = currentYear;
-  } else if (currentMonth >= 7) {
-    // August-October: Q2 should be filed
-    quarter = 2;
-    year = currentYear;
-  } else if (currentMonth >= 4) {
-    // May-July: Q1 should be filed
-    quarter = 1;
-    year = currentYear;
-  } else {
-    // January-April: Q4 of previous year should be filed
-    quarter = 4;
-    year = currentYear - 1;
+function findReports(filing, calendar) {
+  if (!calendar) {
+    return { report: null, nextReport: null };
   }
 
-  return { quarter, year };
-}
-
-/**
- * Fetches earnings data for a ticker, trying multiple quarters if needed
- */
-async function fetchEarningsData(ticker, apiKey) {
-  try {
-    const { quarter, year } = getMostRecentQuarter();
-    console.log(`Fetching earnings data for ${ticker} - starting with Q${quarter} ${year}...`);
-
-    // Try up to 8 quarters back (2 years) to find available data
-    let currentQuarter = quarter;
-    let currentYear = year;
-    let attempts = 0;
-    const maxAttempts = 8;
-
-    while (attempts < maxAttempts) {
-      console.log(`Attempt ${attempts + 1}: Trying ${ticker} Q${currentQuarter} ${currentYear}...`);
-
-      const result = await fetchFromApiNinjas(
-        `/v1/earnings?ticker=${ticker}&year=${currentYear}&quarter=${currentQuarter}`,
-        apiKey
-      );
-
-      if (result.success) {
-        console.log(`✓ Earnings data received for ${ticker} - Q${currentQuarter} ${currentYear}`);
-        console.log(`Filing date: ${result.data.filing_info?.filing_date}, Period end: ${result.data.filing_info?.period_end_date}`);
-        return result.data;
-      }
-
-      console.log(`✗ No data for ${ticker} Q${currentQuarter} ${currentYear} (status: ${result.statusCode})`);
-
-      // Move to previous quarter
-      if (currentQuarter === 1) {
-        currentQuarter = 4;
-        currentYear--;
-      } else {
-        currentQuarter--;
-      }
-
-      attempts++;
-    }
-
-    console.log(`Failed to find earnings data for ${ticker} after ${maxAttempts} attempts`);
-    return null;
-  } catch (error) {
-    console.error(`Error fetching earnings for ${ticker}:`, error);
-    return null;
-  }
+  const { fiscal_year: year, fiscal_quarter: quarter } = filing.company_info;
+  const report = calendar.history.find(entry => entry.fiscalYear === year && entry.fiscalQuarter === quarter);
+  return { report: report || null, nextReport: calendar.next };
 }
 
 module.exports = async function handler(req, res) {
@@ -150,22 +60,34 @@ module.exports = async function handler(req, res) {
   }
 
   try {
-    const apiKey = process.env.API_KEY;
-    if (!apiKey) {
-      return res.status(500).json({ error: 'API_KEY not configured' });
+    const provider = getProvider();
+    if (provider.configError) {
+      return res.status(500).json({ error: 'Configuration error', message: provider.configError });
+    }
+
+    // Validate the ticker's format before it goes into an upstream URL
+    const { ticker: tickerUpper, error: tickerError } = validateTicker(req.query.ticker);
+
+    if (tickerError) {
+      return res.status(400).json({ error: 'Bad request', message: tickerError });
     }
 
-    // Get ticker from query params
-    const { ticker } = req.query;
+    const { series: seriesRequest, error: seriesError } = resolveSeriesRequest(req.query);
 
-    if (!ticker) {
-      return res.status(400).json({ error: 'Missing ticker parameter' });
+    if (seriesError) {
+      return res.status(400).json({ error: 'Bad request', message: seriesError });
     }
 
-    const tickerUpper = ticker.toUpperCase();
+    // Tickers outside the symbol master are confirmed with the provider
+    const unknownTicker = await findUnknownTicker(provider, [tickerUpper]);
+    if (unknownTicker) {
+      return res.status(400).json({ error: 'Bad request', message: `Unknown ticker symbol: ${unknownTicker}` });
+    }
 
     // Check cache
-    const cacheKey = tickerUpper;
+    const cacheKey = seriesRequest
+      ? `${tickerUpper}_${seriesRequest.quarters || `${seriesRequest.from.year}Q${seriesRequest.from.quarter}-${seriesRequest.to.year}Q${seriesRequest.to.quarter}`}`
+      : tickerUpper;
     const cached = earningsCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
       console.log(`Returning cached earnings data for ${tickerUpper}`);
@@ -176,8 +98,23 @@ module.exports = async function handler(req, res) {
       });
     }
 
-    // Fetch earnings data
-    const earningsData = await fetchEarningsData(tickerUpper, apiKey);
+    // Fetch earnings data (a single filing also gets its derived ratios and
+    // its release from the earnings calendar, which is best-effort)
+    let earningsData;
+    if (seriesRequest) {
+      earningsData = await fetchEarningsSeries(provider, tickerUpper, seriesRequest);
+    } else {
+      const [filing, calendar] = await Promise.all([
+        fetchEarningsData(provider, tickerUpper),
+        settle(fetchEarningsCalendar(provider, tickerUpper, { moves: false }))
+      ]);
+      earningsData = filing && {
+        ...filing,
+        ratios: computeRatios(filing),
+        fiscalCalendar: getFiscalCalendar(tickerUpper),
+        ...findReports(filing, calendar.success ? calendar.data : null)
+      };
+    }
 
     if (!earningsData) {
       return res.status(404).json({
@@ -200,6 +137,15 @@ module.exports = async function handler(req, res) {
 
   } catch (error) {
     console.error('Error in earnings endpoint:', error);
+
+    if (error instanceof UpstreamError) {
+      return res.status(error.httpStatus).json({
+        error: 'Upstream error',
+        message: error.message,
+        upstream: error
+      });
+    }
+
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -1,226 +1,36 @@
 /**
  * Serverless API Function: Economic Indicators Fetcher
  *
- * Fetches key US economic indicators from API Ninjas.
- * Attempts to fetch multiple indicators and handles unavailable endpoints gracefully.
+ * Fetches key US economic indicators from the market data provider
+ * (API Ninjas when live). Attempts to fetch multiple indicators and handles
+ * unavailable endpoints gracefully.
  *
  * Environment Variables Required:
- * - API_KEY: API Ninjas authentication key
+ * - API_KEY: API Ninjas authentication key (not needed with MARKET_DATA_PROVIDER=fixture)
  */
 
-const https = require('https');
+const { getProvider } = require('../lib/providers');
 
 // Cache for economic data (1 hour TTL - economic data changes slowly)
 const cache = new Map();
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour
 
 /**
- * Generic function to fetch data from API Ninjas
- * @param {string} endpoint - API endpoint path
- * @param {string} apiKey - API Ninjas API key
- * @returns {Promise<Object>} API response data
+ * Fetches the latest reading of one indicator from the market data provider
+ * @param {Object} provider - Market data provider
+ * @param {string} indicator - inflation, interestRate, mortgageRate or unemployment
+ * @returns {Promise<Object>} { value, period, type? } or null if unavailable
  */
-function fetchFromApiNinjas(endpoint, apiKey) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.api-ninjas.com',
-      path: endpoint,
-      method: 'GET',
-      headers: {
-        'X-Api-Key': apiKey
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try {
-            const jsonData = JSON.parse(data);
-            resolve({ success: true, data: jsonData, statusCode: res.statusCode });
-          } catch (error) {
-            reject(new Error(`Failed to parse JSON from ${endpoint}: ${error.message}`));
-          }
-        } else if (res.statusCode === 404) {
-          // Endpoint doesn't exist
-          resolve({ success: false, statusCode: 404, message: 'Endpoint not available' });
-        } else {
-          resolve({ success: false, statusCode: res.statusCode, message: `API error: ${res.statusCode}` });
-        }
-      });
-    });
-
-    req.on('error', (error) => {
-      reject(new Error(`Network error fetching ${endpoint}: ${error.message}`));
-    });
-
-    req.setTimeout(5000, () => {
-      req.destroy();
-      reject(new Error(`Timeout fetching ${endpoint}`));
-    });
-
-    req.end();
-  });
-}
-
-/**
- * Fetches inflation data from API Ninjas
- * @param {string} apiKey - API Ninjas API key
- * @returns {Promise<Object>} Inflation data or null
- */
-async function fetchInflationData(apiKey) {
+async function fetchIndicator(provider, indicator) {
   try {
-    // Try without country parameter first, or with different format
-    const result = await fetchFromApiNinjas('/v1/inflation', apiKey);
-
-    if (!result.success) {
-      console.log('Inflation API failed:', result.statusCode, result.message);
-      return null;
-    }
-
-    const jsonData = result.data;
-    console.log('Inflation raw response:', JSON.stringify(jsonData));
-
-    // API Ninjas returns an array of inflation data
-    if (Array.isArray(jsonData) && jsonData.length > 0) {
-      const latest = jsonData[0];
-      // Try different possible field names
-      const rateValue = latest.yearly_rate_pct || latest.rate || latest.inflation_rate || latest.value;
-
-      if (rateValue !== undefined && rateValue !== null) {
-        return {
-          value: parseFloat(rateValue),
-          period: latest.period || latest.year || latest.date || 'Recent',
-          type: latest.type || 'CPI'
-        };
-      }
-    }
-    return null;
-  } catch (error) {
-    console.error('Error fetching inflation:', error);
-    return null;
-  }
-}
-
-/**
- * Fetches interest rate data from API Ninjas
- * @param {string} apiKey - API Ninjas API key
- * @returns {Promise<Object>} Interest rate data or null
- */
-async function fetchInterestRateData(apiKey) {
-  try {
-    // No parameters needed - returns all central bank rates
-    const result = await fetchFromApiNinjas('/v1/interestrate', apiKey);
-
-    if (!result.success) {
-      console.log('Interest rate API failed:', result.statusCode, result.message);
-      return null;
-    }
-
-    const jsonData = result.data;
-    console.log('Interest rate raw response:', JSON.stringify(jsonData));
-
-    // Response has central_bank_rates array
-    if (jsonData.central_bank_rates && Array.isArray(jsonData.central_bank_rates)) {
-      // Find American Central Bank (Federal Reserve)
-      const usRate = jsonData.central_bank_rates.find(
-        bank => bank.central_bank === 'American Central Bank' ||
-                bank.country === 'United_States'
-      );
+    const reading = await provider.macro(indicator);
 
-      if (usRate && usRate.rate_pct !== undefined) {
-        return {
-          value: parseFloat(usRate.rate_pct),
-          period: usRate.last_updated || 'Current'
-        };
-      }
+    if (!reading) {
+      console.log(`${indicator} data missing from provider response`);
     }
-
-    return null;
-  } catch (error) {
-    console.error('Error fetching interest rate:', error);
-    return null;
-  }
-}
-
-/**
- * Fetches mortgage rate data from API Ninjas
- * @param {string} apiKey - API Ninjas API key
- * @returns {Promise<Object>} Mortgage rate data or null
- */
-async function fetchMortgageRateData(apiKey) {
-  try {
-    // Mortgage rate endpoint - no parameters needed for US data
-    const result = await fetchFromApiNinjas('/v1/mortgagerate', apiKey);
-
-    if (!result.success) {
-      console.log('Mortgage rate API failed:', result.statusCode, result.message);
-      return null;
-    }
-
-    const jsonData = result.data;
-    console.log('Mortgage rate raw response:', JSON.stringify(jsonData));
-
-    // Response is array with week and data
-    if (Array.isArray(jsonData) && jsonData.length > 0) {
-      const latest = jsonData[0];
-
-      // Data is nested in data.frm_30 (30-year fixed rate mortgage)
-      if (latest.data && latest.data.frm_30) {
-        return {
-          value: parseFloat(latest.data.frm_30),
-          period: latest.data.week || 'Current',
-          type: '30-year fixed'
-        };
-      }
-    }
-
-    return null;
-  } catch (error) {
-    console.error('Error fetching mortgage rate:', error);
-    return null;
-  }
-}
-
-/**
- * Fetches unemployment data from API Ninjas
- * @param {string} apiKey - API Ninjas API key
- * @returns {Promise<Object>} Unemployment data or null
- */
-async function fetchUnemploymentData(apiKey) {
-  try {
-    // Add country parameter for US data
-    const result = await fetchFromApiNinjas('/v1/unemployment?country=united%20states', apiKey);
-
-    if (!result.success) {
-      console.log('Unemployment API failed:', result.statusCode, result.message);
-      return null;
-    }
-
-    const jsonData = result.data;
-    console.log('Unemployment raw response:', JSON.stringify(jsonData));
-
-    // Returns array of historical data - get the LAST item (most recent)
-    if (Array.isArray(jsonData) && jsonData.length > 0) {
-      const latest = jsonData[jsonData.length - 1]; // Get last item
-      const rateValue = latest.unemployment_rate || latest.rate || latest.value;
-
-      if (rateValue !== undefined && rateValue !== null) {
-        return {
-          value: parseFloat(rateValue),
-          period: latest.year ? String(latest.year) : 'Current'
-        };
-      }
-    }
-
-    return null;
+    return reading;
   } catch (error) {
-    console.error('Error fetching unemployment:', error);
+    console.log(`${indicator} API failed:`, error.statusCode, error.message);
     return null;
   }
 }
@@ -283,12 +93,12 @@ module.exports = async function handler(req, res) {
     });
   }
 
-  // Validate API key
-  const apiKey = process.env.API_KEY;
-  if (!apiKey) {
+  // Validate the market data provider is configured
+  const provider = getProvider();
+  if (provider.configError) {
     return res.status(500).json({
       error: 'Configuration error',
-      message: 'API_KEY environment variable is not configured'
+      message: provider.configError
     });
   }
 
@@ -308,10 +118,10 @@ module.exports = async function handler(req, res) {
 
     // Fetch all economic indicators in parallel
     const [inflationData, interestRateData, mortgageRateData, unemploymentData] = await Promise.all([
-      fetchInflationData(apiKey),
-      fetchInterestRateData(apiKey),
-      fetchMortgageRateData(apiKey),
-      fetchUnemploymentData(apiKey)
+      fetchIndicator(provider, 'inflation'),
+      fetchIndicator(provider, 'interestRate'),
+      fetchIndicator(provider, 'mortgageRate'),
+      fetchIndicator(provider, 'unemployment')
     ]);
 
     // Build indicators object with available data
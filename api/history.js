@@ -1,107 +1,169 @@
 /**
  * Serverless API Function: Historical Stock Data Fetcher
  *
- * Fetches 30-day historical stock data from Yahoo Finance for charting
- * and trend analysis. Implements caching to reduce API calls.
+ * Fetches historical stock data from the market data provider (Yahoo
+ * Finance when live) for charting and trend analysis. Implements caching
+ * to reduce API calls.
  *
- * Yahoo Finance API is free and doesn't require authentication.
+ * Query Parameters:
+ * - ticker: Stock ticker symbol (required)
+ * - range: 1d, 5d, 1mo (default), 3mo, 6mo, ytd, 1y, 2y, 5y, 10y or max
+ * - interval: 1m, 5m, 15m, 30m, 60m, 1d, 1wk or 1mo (defaults to a
+ *   sensible interval for the range, e.g. 1d for 1mo and 1wk for 5y)
+ * - basis: adjusted (default) or close - price series the statistics use
+ * - indicators: Optional comma-separated technical indicators, e.g.
+ *   sma20,ema50,rsi14,macd,bollinger,atr14,obv (see lib/indicators.js),
+ *   computed with warm-up bars from a longer range so they start at the
+ *   window's first bar
+ * - benchmark: Optional benchmark ticker (e.g. SPY or QQQ), or "sector" for
+ *   the company's sector ETF. Adds beta and correlation to
+ *   `statistics.risk` and the benchmark's prices as `benchmark` for chart overlays
+ *
+ * `statistics.risk` holds annualized volatility, max drawdown, the return
+ * distribution and Sharpe/Sortino ratios using the Fed rate as the
+ * risk-free rate (see lib/risk.js).
+ *
+ * Each data point carries open/high/low/close, adjusted close and volume,
+ * plus `price` on the requested basis. Intraday intervals return ISO
+ * timestamps instead of dates and have no adjusted close, so they always
+ * use the close basis; `statistics.basis` reports the basis actually used.
+ * Likewise `interval` reports the interval of the bars returned: the
+ * fixture provider has no intraday bars and serves daily ones instead.
  */
 
-const https = require('https');
+const { validateTicker, findUnknownTicker } = require('../lib/symbols');
+const { resolveHistoryWindow, resolvePriceBasis, resolveWarmupRange, selectPrices } = require('../lib/history');
+const { parseIndicatorList, warmupBars, computeIndicators } = require('../lib/indicators');
+const { computeRiskStatistics, getRiskFreeRate } = require('../lib/risk');
+const { resolveBenchmarks } = require('../lib/benchmarks');
+const { UpstreamError, settle } = require('../lib/upstream');
+const { getProvider } = require('../lib/providers');
 
 // In-memory cache for historical data (5-minute TTL)
 const cache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const MAX_CACHE_ENTRIES = 50;
 
 /**
- * Fetches historical stock data from Yahoo Finance
+ * Fetches historical stock data from the market data provider
+ * @param {Object} provider - Market data provider
  * @param {string} ticker - Stock ticker symbol
- * @returns {Promise<Object>} Historical data with timestamps and prices
+ * @param {Object} options
+ * @param {string} options.range - History range (e.g. 1mo)
+ * @param {string} options.interval - Bar interval (e.g. 1d)
+ * @param {string} options.basis - Requested price basis (adjusted or close)
+ * @param {Array} options.indicatorSpecs - Parsed indicator list (may be empty)
+ * @param {Object|null} options.benchmark - Benchmark { ticker, name } for beta/correlation and overlays
+ * @returns {Promise<Object>} Historical data with OHLCV bars, statistics and indicators
  */
-function fetchYahooFinanceData(ticker) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'query1.finance.yahoo.com',
-      path: `/v8/finance/chart/${ticker}?interval=1d&range=1mo`,
-      method: 'GET',
-      headers: {
-        'User-Agent': 'Mozilla/5.0'
-      }
+async function fetchHistoricalData(provider, ticker, { range, interval, basis, indicatorSpecs, benchmark }) {
+  // Indicators need bars from before the window; a longer range supplies them
+  const warmupNeeded = warmupBars(indicatorSpecs);
+  const warmupRange = resolveWarmupRange(range, interval, warmupNeeded);
+
+  // The benchmark, risk-free rate and warm-up history only feed the risk
+  // statistics and indicators, so their failures degrade those instead of
+  // failing the request
+  const [{ currency, bars, interval: barInterval }, benchmarkResult, riskFreeRate, warmupResult] = await Promise.all([
+    provider.history(ticker, { range, interval }),
+    benchmark ? settle(provider.history(benchmark.ticker, { range, interval })) : null,
+    getRiskFreeRate(provider),
+    warmupRange ? settle(provider.history(ticker, { range: warmupRange, interval })) : null
+  ]);
+
+  if (bars.length === 0) {
+    throw new Error(`No valid price data for ${ticker}`);
+  }
+
+  const { basis: usedBasis, prices } = selectPrices(bars, basis);
+
+  let benchmarkSeries = null;
+  if (benchmarkResult && benchmarkResult.success) {
+    benchmarkSeries = {
+      ticker: benchmark.ticker,
+      dates: benchmarkResult.data.bars.map(bar => bar.date),
+      prices: selectPrices(benchmarkResult.data.bars, usedBasis).prices
     };
+  } else if (benchmarkResult) {
+    console.log(`Benchmark ${benchmark.ticker} history failed:`, benchmarkResult.error.message);
+    benchmarkSeries = { ticker: benchmark.ticker, dates: [], prices: [] };
+  }
 
-    const req = https.request(options, (res) => {
-      let data = '';
+  const dataPoints = bars.map((bar, index) => ({
+    date: bar.date,
+    open: bar.open,
+    high: bar.high,
+    low: bar.low,
+    close: bar.close,
+    adjClose: bar.adjClose,
+    volume: bar.volume,
+    price: prices[index]
+  }));
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+  // Calculate statistics
+  const high = Math.max(...prices);
+  const low = Math.min(...prices);
+  const average = prices.reduce((sum, p) => sum + p, 0) / prices.length;
 
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try {
-            const jsonData = JSON.parse(data);
-
-            // Extract data from Yahoo Finance response structure
-            const result = jsonData.chart?.result?.[0];
-            if (!result) {
-              reject(new Error(`No data found for ${ticker}`));
-              return;
-            }
-
-            const timestamps = result.timestamp || [];
-            const quotes = result.indicators?.quote?.[0];
-            const closePrices = quotes?.close || [];
-
-            // Filter out null values and create data points
-            const dataPoints = timestamps
-              .map((timestamp, index) => ({
-                date: new Date(timestamp * 1000).toISOString().split('T')[0],
-                price: closePrices[index]
-              }))
-              .filter(point => point.price !== null);
-
-            if (dataPoints.length === 0) {
-              reject(new Error(`No valid price data for ${ticker}`));
-              return;
-            }
-
-            // Calculate statistics
-            const prices = dataPoints.map(p => p.price);
-            const high = Math.max(...prices);
-            const low = Math.min(...prices);
-            const average = prices.reduce((sum, p) => sum + p, 0) / prices.length;
-
-            // Calculate 30-day trend (first vs last price)
-            const firstPrice = prices[0];
-            const lastPrice = prices[prices.length - 1];
-            const trendPercent = ((lastPrice - firstPrice) / firstPrice) * 100;
-
-            resolve({
-              ticker,
-              dataPoints,
-              statistics: {
-                high: parseFloat(high.toFixed(2)),
-                low: parseFloat(low.toFixed(2)),
-                average: parseFloat(average.toFixed(2)),
-                trendPercent: parseFloat(trendPercent.toFixed(2)),
-                trendDirection: trendPercent >= 0 ? 'up' : 'down'
-              }
-            });
-          } catch (error) {
-            reject(new Error(`Failed to parse Yahoo Finance data for ${ticker}: ${error.message}`));
-          }
-        } else {
-          reject(new Error(`Yahoo Finance API error for ${ticker}: ${res.statusCode}`));
-        }
-      });
-    });
+  // Calculate trend over the requested window (first vs last price)
+  const firstPrice = prices[0];
+  const lastPrice = prices[prices.length - 1];
+  const trendPercent = ((lastPrice - firstPrice) / firstPrice) * 100;
 
-    req.on('error', (error) => {
-      reject(new Error(`Network error fetching ${ticker}: ${error.message}`));
-    });
+  const historicalData = {
+    ticker,
+    range,
+    interval: barInterval,
+    currency,
+    dataPoints,
+    statistics: {
+      basis: usedBasis,
+      high: parseFloat(high.toFixed(2)),
+      low: parseFloat(low.toFixed(2)),
+      average: parseFloat(average.toFixed(2)),
+      trendPercent: parseFloat(trendPercent.toFixed(2)),
+      trendDirection: trendPercent >= 0 ? 'up' : 'down',
+      risk: computeRiskStatistics({
+        dates: bars.map(bar => bar.date),
+        prices,
+        interval: barInterval,
+        riskFreeRate,
+        benchmark: benchmarkSeries
+      })
+    }
+  };
+
+  // Benchmark prices for chart overlays (dates may differ from dataPoints)
+  if (benchmarkSeries && benchmarkSeries.dates.length > 0) {
+    historicalData.benchmark = {
+      ticker: benchmark.ticker,
+      name: benchmark.name,
+      dataPoints: benchmarkSeries.dates.map((date, i) => ({ date, price: benchmarkSeries.prices[i] }))
+    };
+  }
+
+  // Indicators are aligned with dataPoints (null only where even the
+  // warm-up history is too short)
+  if (indicatorSpecs.length > 0) {
+    let warmup = [];
+    if (warmupResult && warmupResult.success) {
+      warmup = warmupResult.data.bars.filter(bar => bar.date < bars[0].date).slice(-warmupNeeded);
+    } else if (warmupResult) {
+      console.log(`Indicator warm-up history for ${ticker} failed:`, warmupResult.error.message);
+    }
+
+    // Warm-up bars must share the window's price basis
+    const extended = selectPrices([...warmup, ...bars], usedBasis);
+    if (extended.basis !== usedBasis) {
+      warmup = [];
+    }
+
+    historicalData.indicators = warmup.length > 0
+      ? computeIndicators(indicatorSpecs, [...warmup, ...bars], extended.prices, warmup.length)
+      : computeIndicators(indicatorSpecs, bars, prices);
+  }
 
-    req.end();
-  });
+  return historicalData;
 }
 
 /**
@@ -126,19 +188,76 @@ module.exports = async function handler(req, res) {
     });
   }
 
-  // Get ticker from query parameter
-  const ticker = req.query.ticker;
+  // Validate the ticker's format before it goes into an upstream URL
+  const { ticker, error: tickerError } = validateTicker(req.query.ticker);
 
-  if (!ticker) {
+  if (tickerError) {
     return res.status(400).json({
       error: 'Bad request',
-      message: 'Ticker parameter is required'
+      message: tickerError
+    });
+  }
+
+  const { range, interval, error: windowError } = resolveHistoryWindow(req.query);
+
+  if (windowError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: windowError
+    });
+  }
+
+  const { basis, error: basisError } = resolvePriceBasis(req.query);
+
+  if (basisError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: basisError
+    });
+  }
+
+  const { specs: indicatorSpecs, error: indicatorError } = parseIndicatorList(req.query.indicators);
+
+  if (indicatorError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: indicatorError
+    });
+  }
+
+  const { benchmarks, error: benchmarkError } = resolveBenchmarks(req.query.benchmark, [ticker]);
+  const benchmarkCountError = benchmarks.length > 1 ? 'Only one benchmark can be requested' : null;
+
+  if (benchmarkError || benchmarkCountError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: benchmarkError || benchmarkCountError
+    });
+  }
+  const benchmark = benchmarks[0] || null;
+
+  // Price history works without an API key, so only a missing method is fatal
+  const provider = getProvider();
+  if (!provider.history) {
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: provider.configError
+    });
+  }
+
+  // Tickers outside the symbol master are confirmed with the provider
+  const unknownTicker = await findUnknownTicker(provider, benchmark ? [ticker, benchmark.ticker] : [ticker]);
+  if (unknownTicker) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: `Unknown ticker symbol: ${unknownTicker}`
     });
   }
 
   try {
     // Check cache first
-    const cacheKey = ticker.toUpperCase();
+    const indicatorKey = indicatorSpecs.map(spec => spec.id).sort().join(',');
+    const cacheKey = `${ticker}_${range}_${interval}_${basis}_${indicatorKey}_${benchmark ? benchmark.ticker : ''}`;
     const cached = cache.get(cacheKey);
 
     if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
@@ -150,7 +269,9 @@ module.exports = async function handler(req, res) {
     }
 
     // Fetch fresh data
-    const historicalData = await fetchYahooFinanceData(ticker);
+    const historicalData = await fetchHistoricalData(provider, ticker, {
+      range, interval, basis, indicatorSpecs, benchmark
+    });
 
     // Store in cache
     cache.set(cacheKey, {
@@ -159,7 +280,7 @@ module.exports = async function handler(req, res) {
     });
 
     // Clean old cache entries (keep cache size manageable)
-    if (cache.size > 20) {
+    if (cache.size > MAX_CACHE_ENTRIES) {
       const firstKey = cache.keys().next().value;
       cache.delete(firstKey);
     }
@@ -173,6 +294,14 @@ module.exports = async function handler(req, res) {
   } catch (error) {
     console.error('Error fetching historical data:', error);
 
+    if (error instanceof UpstreamError) {
+      return res.status(error.httpStatus).json({
+        error: 'Upstream error',
+        message: error.message,
+        upstream: error
+      });
+    }
+
     return res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -0,0 +1,272 @@
+/**
+ * Serverless API Function: Sentiment History
+ *
+ * Earnings call sentiment per company and fiscal quarter, for charting
+ * whether a company's tone is improving and how it compares with peers.
+ * Each call is scored in full by lib/sentiment.js (the same engine as
+ * /api/earnings-analysis):
+ * - score: management's 0-1 positivity, 0.5 being neutral
+ * - positivePercent, negativePercent: share of management sentences
+ * - managementTone, analystTone: average tone (-1 to 1) of executives'
+ *   and of analysts' sentences
+ *
+ * Past calls never change, so each call's scores are stored per ticker and
+ * quarter (lib/score-store.js) and only the latest call is looked up again. The dashboard also stores every quarter it
+ * receives in the browser, so its history outlasts the vendor's archive.
+ *
+ * Query Parameters:
+ * - tickers: Comma-separated ticker symbols (takes precedence)
+ * - watchlist: Preset watchlist id (defaults to the Big Tech watchlist)
+ * - quarters: Calls per company, counting back from the latest (default 8, max 12)
+ *
+ * Environment Variables Required:
+ * - API_KEY: API Ninjas authentication key (not needed with MARKET_DATA_PROVIDER=fixture)
+ */
+
+const { resolveCompanies } = require('../lib/watchlists');
+const { findUnknownTicker } = require('../lib/symbols');
+const { fetchTranscript } = require('../lib/transcripts');
+const { analyzeTranscriptSentiment } = require('../lib/sentiment');
+const { quartersEndingAt } = require('../lib/earnings');
+const { getFiscalCalendar, fiscalQuarterEndMonth } = require('../lib/fiscal');
+const { createScoreStore } = require('../lib/score-store');
+const { UpstreamError, settle } = require('../lib/upstream');
+const { getProvider } = require('../lib/providers');
+
+const DEFAULT_HISTORY_QUARTERS = 8;
+const MAX_HISTORY_QUARTERS = 12;
+
+// Companies whose calls are fetched at the same time
+const COMPANY_BATCH_SIZE = 5;
+
+// Cache for histories (24 hour TTL - a new call arrives once a quarter)
+const cache = new Map();
+const CACHE_TTL = 24 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 20;
+
+// Scores of past calls, by ticker and quarter
+const callScores = createScoreStore('sentiment-history');
+
+/**
+ * Resolves the number of quarters from the query
+ * @returns {{quarters: number|null, error: string|null}}
+ */
+function resolveQuarters(query) {
+  if (query.quarters === undefined || query.quarters === '') {
+    return { quarters: DEFAULT_HISTORY_QUARTERS, error: null };
+  }
+
+  const quarters = Number(query.quarters);
+  if (!Number.isInteger(quarters) || quarters < 1 || quarters > MAX_HISTORY_QUARTERS) {
+    return { quarters: null, error: `quarters must be a whole number from 1 to ${MAX_HISTORY_QUARTERS}` };
+  }
+  return { quarters, error: null };
+}
+
+/**
+ * Scores one call into a history point
+ * @returns {Promise<Object|null>} Null when management said nothing scorable
+ */
+async function scoreCall(ticker, transcript) {
+  const sentiment = await analyzeTranscriptSentiment(transcript);
+  if (!sentiment) {
+    return null;
+  }
+
+  const period = { year: transcript.year, quarter: transcript.quarter };
+  return {
+    year: transcript.year,
+    quarter: transcript.quarter,
+    date: transcript.date || null,
+    // Calendar month the fiscal quarter ends in, which lines peers up
+    periodEnd: fiscalQuarterEndMonth(period, getFiscalCalendar(ticker)),
+    sentiment: sentiment.overall.sentiment,
+    score: sentiment.overall.score,
+    positivePercent: sentiment.sentimentRatio.positivePercent,
+    negativePercent: sentiment.sentimentRatio.negativePercent,
+    managementTone: sentiment.management.tone,
+    analystTone: sentiment.byType.analyst.tone,
+    sentences: sentiment.breakdown.total
+  };
+}
+
+/**
+ * Scored call for a quarter, from the stored scores when it was scored before
+ * @returns {Promise<Object|null>} Null when there is no transcript or nothing to score
+ */
+async function fetchCallScore(provider, ticker, period) {
+  const stored = callScores.get(ticker, period);
+  if (stored !== undefined) {
+    return stored;
+  }
+
+  const transcript = await fetchTranscript(provider, ticker, period);
+  return transcript ? storeCallScore(ticker, transcript) : null;
+}
+
+/**
+ * Scores a fetched call and keeps its scores
+ */
+async function storeCallScore(ticker, transcript) {
+  const point = await scoreCall(ticker, transcript);
+  if (point) {
+    callScores.set(ticker, point, point);
+  }
+  return point;
+}
+
+/**
+ * Sentiment history of one company, oldest call first
+ * @returns {Promise<Object|null>} { ticker, companyName, history, missing }, or null without any transcript
+ */
+async function buildCompanyHistory(provider, company, quarters) {
+  const latestTranscript = await fetchTranscript(provider, company.ticker, null);
+  if (!latestTranscript) {
+    return null;
+  }
+
+  const latest = await storeCallScore(company.ticker, latestTranscript);
+  const periods = quartersEndingAt({ year: latestTranscript.year, quarter: latestTranscript.quarter }, quarters).slice(1);
+  const earlier = await Promise.all(periods.map(period => fetchCallScore(provider, company.ticker, period)));
+
+  const history = [latest, ...earlier].filter(Boolean).reverse();
+  const missing = periods.filter((period, index) => !earlier[index]);
+
+  return { ticker: company.ticker, companyName: company.name, history, missing };
+}
+
+/**
+ * Builds every company's history, a few companies at a time
+ * Companies without a transcript are listed in `failed`.
+ * @returns {Promise<Object>} { quarters, companies, failed }
+ */
+async function buildSentimentHistory(provider, companies, quarters) {
+  const results = [];
+  for (let start = 0; start < companies.length; start += COMPANY_BATCH_SIZE) {
+    const batch = companies.slice(start, start + COMPANY_BATCH_SIZE);
+    results.push(...await Promise.all(batch.map(company => settle(buildCompanyHistory(provider, company, quarters)))));
+  }
+
+  const histories = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const { ticker } = companies[index];
+
+    if (!result.success) {
+      failed.push({ ticker, error: result.error.message });
+    } else if (!result.data || result.data.history.length === 0) {
+      failed.push({ ticker, error: 'No transcript available' });
+    } else {
+      histories.push(result.data);
+    }
+  });
+
+  // Only an outage everywhere is an error; no transcripts at all is an empty history
+  if (histories.length === 0 && !results[0].success) {
+    throw results[0].error;
+  }
+
+  return { quarters, companies: histories, failed };
+}
+
+/**
+ * Main handler with caching
+ */
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  // Resolve the requested companies from `tickers` or `watchlist`
+  const { companies, watchlistId, error: watchlistError } = resolveCompanies(req.query);
+  const { quarters, error: quartersError } = resolveQuarters(req.query);
+
+  const validationError = watchlistError || quartersError;
+  if (validationError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: validationError
+    });
+  }
+
+  // Transcripts need the API key when live
+  const provider = getProvider();
+  if (provider.configError) {
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: provider.configError
+    });
+  }
+
+  // Tickers outside the symbol master are confirmed with the provider
+  const unknownTicker = await findUnknownTicker(provider, companies.map(company => company.ticker));
+  if (unknownTicker) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: `Unknown ticker symbol: ${unknownTicker}`
+    });
+  }
+
+  try {
+    const cacheKey = `${companies.map(company => company.ticker).join(',')}_${quarters}`;
+    const cached = cache.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return res.status(200).json({
+        success: true,
+        cached: true,
+        watchlist: watchlistId,
+        data: cached.data
+      });
+    }
+
+    const history = await buildSentimentHistory(provider, companies, quarters);
+
+    cache.set(cacheKey, {
+      timestamp: Date.now(),
+      data: history
+    });
+
+    if (cache.size > MAX_CACHE_ENTRIES) {
+      const firstKey = cache.keys().next().value;
+      cache.delete(firstKey);
+    }
+
+    return res.status(200).json({
+      success: true,
+      cached: false,
+      watchlist: watchlistId,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Error building sentiment history:', error);
+
+    if (error instanceof UpstreamError) {
+      return res.status(error.httpStatus).json({
+        error: 'Upstream error',
+        message: error.message,
+        upstream: error
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
@@ -1,75 +1,21 @@
 /**
  * Serverless API Function: Stock Price Fetcher
  *
- * This function fetches real-time stock prices for major technology companies
- * from the API Ninjas Stock Price endpoint and returns formatted data for
- * the business intelligence dashboard.
+ * This function fetches real-time stock prices for the companies in a
+ * watchlist from the configured market data provider and returns formatted
+ * data for the business intelligence dashboard.
+ *
+ * Query Parameters:
+ * - tickers: Comma-separated ticker symbols (takes precedence)
+ * - watchlist: Preset watchlist id (defaults to the Big Tech watchlist)
  *
  * Environment Variables Required:
- * - API_KEY: API Ninjas authentication key
- */
-
-// Import Node.js built-in https module for API requests
-const https = require('https');
-
-// Company information mapping
-const COMPANIES = [
-  { ticker: 'AAPL', name: 'Apple Inc.' },
-  { ticker: 'MSFT', name: 'Microsoft Corporation' },
-  { ticker: 'GOOGL', name: 'Alphabet Inc. (Google)' },
-  { ticker: 'META', name: 'Meta Platforms Inc.' },
-  { ticker: 'AMZN', name: 'Amazon.com Inc.' }
-];
-
-/**
- * Fetches stock price for a single ticker symbol using Node.js https module
- * @param {string} ticker - Stock ticker symbol
- * @param {string} apiKey - API Ninjas API key
- * @returns {Promise<Object>} Stock data object
+ * - API_KEY: API Ninjas authentication key (not needed with MARKET_DATA_PROVIDER=fixture)
  */
-function fetchStockPrice(ticker, apiKey) {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.api-ninjas.com',
-      path: `/v1/stockprice?ticker=${ticker}`,
-      method: 'GET',
-      headers: {
-        'X-Api-Key': apiKey
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-
-      // Collect data chunks
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      // Process complete response
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          try {
-            const jsonData = JSON.parse(data);
-            resolve(jsonData);
-          } catch (error) {
-            reject(new Error(`Failed to parse JSON for ${ticker}: ${error.message}`));
-          }
-        } else {
-          reject(new Error(`Failed to fetch ${ticker}: ${res.statusCode} ${res.statusMessage}`));
-        }
-      });
-    });
-
-    // Handle request errors
-    req.on('error', (error) => {
-      reject(new Error(`Network error fetching ${ticker}: ${error.message}`));
-    });
 
-    // Send the request
-    req.end();
-  });
-}
+const { resolveCompanies } = require('../lib/watchlists');
+const { findUnknownTicker } = require('../lib/symbols');
+const { getProvider } = require('../lib/providers');
 
 /**
  * Main serverless function handler
@@ -96,20 +42,38 @@ module.exports = async function handler(req, res) {
     });
   }
 
-  // Validate API key exists
-  const apiKey = process.env.API_KEY;
-  if (!apiKey) {
+  // Resolve the requested companies from `tickers` or `watchlist`
+  const { companies, watchlistId, error: watchlistError } = resolveCompanies(req.query);
+  if (watchlistError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: watchlistError
+    });
+  }
+
+  // Validate the market data provider is configured (live data needs an API key)
+  const provider = getProvider();
+  if (provider.configError) {
     return res.status(500).json({
       error: 'Configuration error',
-      message: 'API_KEY environment variable is not configured'
+      message: provider.configError
+    });
+  }
+
+  // Tickers outside the symbol master are confirmed with the provider
+  const unknownTicker = await findUnknownTicker(provider, companies.map(company => company.ticker));
+  if (unknownTicker) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: `Unknown ticker symbol: ${unknownTicker}`
     });
   }
 
   try {
     // Fetch stock data for all companies in parallel for better performance
-    const stockPromises = COMPANIES.map(async (company) => {
+    const stockPromises = companies.map(async (company) => {
       try {
-        const stockData = await fetchStockPrice(company.ticker, apiKey);
+        const stockData = await provider.quote(company.ticker);
 
         return {
           ticker: company.ticker,
@@ -128,7 +92,8 @@ module.exports = async function handler(req, res) {
           price: null,
           timestamp: new Date().toISOString(),
           success: false,
-          error: error.message
+          error: error.message,
+          errorCode: error.code || null
         };
       }
     });
@@ -141,7 +106,7 @@ module.exports = async function handler(req, res) {
     if (allFailed) {
       return res.status(503).json({
         error: 'Service unavailable',
-        message: 'Unable to fetch stock data from API provider',
+        message: 'Unable to fetch stock data from market data provider',
         data: stocksData
       });
     }
@@ -150,6 +115,7 @@ module.exports = async function handler(req, res) {
     return res.status(200).json({
       success: true,
       timestamp: new Date().toISOString(),
+      watchlist: watchlistId,
       data: stocksData,
       message: 'Stock data retrieved successfully'
     });
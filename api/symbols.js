@@ -0,0 +1,132 @@
+/**
+ * Serverless API Function: Symbol Search & Validation
+ *
+ * Searches the locally bundled symbol master (ticker, company name,
+ * exchange, sector) for the dashboard's type-ahead box and validates
+ * ticker symbols before they are added to a watchlist.
+ *
+ * The master is not a complete listing, so a well-formed ticker missing
+ * from it is looked up with the market data provider (lib/symbols.js
+ * lookupSymbol). One that exists is returned as { ticker, name: ticker,
+ * exchange: null, sector: null, type: null, source: 'provider' }.
+ *
+ * Query Parameters (one of):
+ * - q: Search text, matched against ticker and company name (optional `limit`, max 25);
+ *   a query that is a ticker the provider knows comes first
+ * - ticker: Single ticker lookup (400 if malformed, 404 if unknown)
+ * - tickers: Comma-separated tickers (up to a watchlist's maximum), split into known symbols
+ *   and unknown tickers
+ */
+
+const { TICKER_PATTERN, normalizeTicker, getSymbol, validateTicker, lookupSymbol, searchSymbols } = require('../lib/symbols');
+const { MAX_TICKERS } = require('../lib/watchlists');
+const { getProvider } = require('../lib/providers');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 25;
+
+/**
+ * Main handler
+ */
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  const { q, ticker, tickers } = req.query;
+  const provider = getProvider();
+
+  // Type-ahead search
+  if (q !== undefined) {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const matches = searchSymbols(q, limit);
+
+    // An exact ticker the master lacks may still be listed
+    const query = normalizeTicker(q);
+    if (TICKER_PATTERN.test(query) && !getSymbol(query)) {
+      const { symbol } = await lookupSymbol(provider, query);
+      if (symbol) {
+        matches.unshift(symbol);
+        matches.splice(limit);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      query: q,
+      data: matches
+    });
+  }
+
+  // Single ticker lookup
+  if (ticker !== undefined) {
+    const { ticker: normalized, error } = validateTicker(ticker);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: error
+      });
+    }
+
+    const { symbol } = await lookupSymbol(provider, normalized);
+    if (!symbol) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Unknown ticker symbol: ${normalized}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: symbol
+    });
+  }
+
+  // Batch validation
+  if (tickers !== undefined) {
+    const requested = [...new Set(String(tickers)
+      .split(',')
+      .map(normalizeTicker)
+      .filter(t => t.length > 0))];
+
+    if (requested.length > MAX_TICKERS) {
+      return res.status(400).json({
+        error: 'Bad request',
+        message: `A maximum of ${MAX_TICKERS} tickers can be validated at once`
+      });
+    }
+
+    // Malformed tickers are unknown without asking the provider
+    const symbols = await Promise.all(requested.map(async t => (
+      TICKER_PATTERN.test(t) ? (await lookupSymbol(provider, t)).symbol : null
+    )));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        symbols: symbols.filter(symbol => symbol !== null),
+        unknown: requested.filter((t, index) => !symbols[index])
+      }
+    });
+  }
+
+  return res.status(400).json({
+    error: 'Bad request',
+    message: 'One of the q, ticker or tickers parameters is required'
+  });
+};
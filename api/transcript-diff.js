@@ -0,0 +1,172 @@
+/**
+ * Serverless API Function: Transcript Quarter-over-Quarter Diff
+ *
+ * Compares two earnings calls from the same company: the keywords
+ * (unigrams and bigrams) management used that appeared, disappeared,
+ * gained emphasis or lost emphasis between the calls. Emphasis compares
+ * mentions per thousand words, so calls of different length compare fairly.
+ * Only management statements (CEO, CFO and other executives) are compared;
+ * analysts' questions and the operator are left out.
+ *
+ * Query Parameters:
+ * - ticker: Stock ticker (required)
+ * - year, quarter: Fiscal year and quarter of the later call (default: latest call)
+ * - compareYear, compareQuarter: The earlier call (default: the quarter before the later call)
+ *
+ * Environment Variables Required:
+ * - API_KEY: API Ninjas authentication key (not needed with MARKET_DATA_PROVIDER=fixture)
+ */
+
+const { validateTicker, getCompanyName, findUnknownTicker } = require('../lib/symbols');
+const { UpstreamError } = require('../lib/upstream');
+const { getProvider } = require('../lib/providers');
+const { previousQuarter } = require('../lib/earnings');
+const { resolveCallRequest, managementTexts, fetchTranscript } = require('../lib/transcripts');
+const { compareKeywords } = require('../lib/keywords');
+
+// Cache for diffs (24 hour TTL - past transcripts don't change)
+const cache = new Map();
+const CACHE_TTL = 24 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 50;
+
+/**
+ * Call identity for the response
+ */
+function describeCall(transcript) {
+  return { year: transcript.year, quarter: transcript.quarter, date: transcript.date || null };
+}
+
+/**
+ * Main handler with caching
+ */
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  const { ticker, error: tickerError } = validateTicker(req.query.ticker);
+  const { call, error: callError } = resolveCallRequest(req.query);
+  const { call: compareCall, error: compareError } = resolveCallRequest(req.query, {
+    year: 'compareYear',
+    quarter: 'compareQuarter'
+  });
+
+  const validationError = tickerError || callError || compareError;
+  if (validationError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: validationError
+    });
+  }
+
+  // Transcripts need the API key when live
+  const provider = getProvider();
+  if (provider.configError) {
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: provider.configError
+    });
+  }
+
+  // Tickers outside the symbol master are confirmed with the provider
+  const unknownTicker = await findUnknownTicker(provider, [ticker]);
+  if (unknownTicker) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: `Unknown ticker symbol: ${unknownTicker}`
+    });
+  }
+
+  try {
+    const describe = period => (period ? `${period.year}Q${period.quarter}` : 'latest');
+    const cacheKey = `${ticker}_${describe(call)}_${describe(compareCall)}`;
+    const cached = cache.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return res.status(200).json({
+        success: true,
+        cached: true,
+        data: cached.data
+      });
+    }
+
+    // The earlier call defaults to the quarter before the later one, so the
+    // later call has to be known first unless both are given
+    const [current, givenPrevious] = await Promise.all([
+      fetchTranscript(provider, ticker, call),
+      compareCall ? fetchTranscript(provider, ticker, compareCall) : null
+    ]);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: `No transcript available for ${ticker} ${call ? `Q${call.quarter} ${call.year}` : ''}`.trim()
+      });
+    }
+
+    const earlierCall = compareCall || previousQuarter({ year: current.year, quarter: current.quarter });
+    const previous = compareCall ? givenPrevious : await fetchTranscript(provider, ticker, earlierCall);
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        error: `No transcript available for ${ticker} Q${earlierCall.quarter} ${earlierCall.year} to compare with`
+      });
+    }
+
+    const diff = {
+      ticker,
+      companyName: getCompanyName(ticker),
+      current: describeCall(current),
+      previous: describeCall(previous),
+      scope: 'management',
+      keywords: compareKeywords(managementTexts(previous), managementTexts(current))
+    };
+
+    cache.set(cacheKey, {
+      timestamp: Date.now(),
+      data: diff
+    });
+
+    if (cache.size > MAX_CACHE_ENTRIES) {
+      const firstKey = cache.keys().next().value;
+      cache.delete(firstKey);
+    }
+
+    return res.status(200).json({
+      success: true,
+      cached: false,
+      data: diff
+    });
+
+  } catch (error) {
+    console.error('Error comparing transcripts:', error);
+
+    if (error instanceof UpstreamError) {
+      return res.status(error.httpStatus).json({
+        error: 'Upstream error',
+        message: error.message,
+        upstream: error
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,170 @@
+/**
+ * Serverless API Function: Transcript Themes Across Competitors
+ *
+ * How often each company's latest earnings call mentions the named themes
+ * (AI, cloud, margins, headcount, capex, guidance, macro), by speaker type,
+ * plus each call's top keywords for management and analysts. Rates are
+ * mentions per thousand words so calls of different length compare fairly.
+ *
+ * Query Parameters:
+ * - tickers: Comma-separated ticker symbols (takes precedence)
+ * - watchlist: Preset watchlist id (defaults to the Big Tech watchlist)
+ *
+ * Environment Variables Required:
+ * - API_KEY: API Ninjas authentication key (not needed with MARKET_DATA_PROVIDER=fixture)
+ */
+
+const { resolveCompanies } = require('../lib/watchlists');
+const { findUnknownTicker } = require('../lib/symbols');
+const { fetchTranscript } = require('../lib/transcripts');
+const { THEMES, analyzeTopics } = require('../lib/themes');
+const { UpstreamError, settle } = require('../lib/upstream');
+const { getProvider } = require('../lib/providers');
+
+// Cache for theme counts (24 hour TTL - the latest call changes once a quarter)
+const cache = new Map();
+const CACHE_TTL = 24 * 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 20;
+
+/**
+ * Analyzes every company's latest call
+ * Companies without a transcript are listed in `failed`.
+ * @param {Object} provider - Market data provider
+ * @param {Array<{ticker: string, name: string}>} companies - Companies to include
+ * @returns {Promise<Object>} { themes, companies, failed }
+ */
+async function buildThemeComparison(provider, companies) {
+  const results = await Promise.all(
+    companies.map(company => settle(fetchTranscript(provider, company.ticker, null)))
+  );
+
+  const analyzed = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const { ticker, name } = companies[index];
+
+    if (!result.success) {
+      failed.push({ ticker, error: result.error.message });
+    } else if (!result.data) {
+      failed.push({ ticker, error: 'No transcript available' });
+    } else {
+      const transcript = result.data;
+      analyzed.push({
+        ticker,
+        companyName: name,
+        call: { year: transcript.year, quarter: transcript.quarter, date: transcript.date || null },
+        ...analyzeTopics(transcript)
+      });
+    }
+  });
+
+  // Only an outage everywhere is an error; no transcripts at all is an empty comparison
+  if (analyzed.length === 0 && !results[0].success) {
+    throw results[0].error;
+  }
+
+  return {
+    themes: THEMES.map(({ id, label, phrases }) => ({ id, label, phrases })),
+    companies: analyzed,
+    failed
+  };
+}
+
+/**
+ * Main handler with caching
+ */
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  // Resolve the requested companies from `tickers` or `watchlist`
+  const { companies, watchlistId, error: watchlistError } = resolveCompanies(req.query);
+  if (watchlistError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: watchlistError
+    });
+  }
+
+  // Transcripts need the API key when live
+  const provider = getProvider();
+  if (provider.configError) {
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: provider.configError
+    });
+  }
+
+  // Tickers outside the symbol master are confirmed with the provider
+  const unknownTicker = await findUnknownTicker(provider, companies.map(company => company.ticker));
+  if (unknownTicker) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: `Unknown ticker symbol: ${unknownTicker}`
+    });
+  }
+
+  try {
+    const cacheKey = companies.map(company => company.ticker).join(',');
+    const cached = cache.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return res.status(200).json({
+        success: true,
+        cached: true,
+        watchlist: watchlistId,
+        data: cached.data
+      });
+    }
+
+    const comparison = await buildThemeComparison(provider, companies);
+
+    cache.set(cacheKey, {
+      timestamp: Date.now(),
+      data: comparison
+    });
+
+    if (cache.size > MAX_CACHE_ENTRIES) {
+      const firstKey = cache.keys().next().value;
+      cache.delete(firstKey);
+    }
+
+    return res.status(200).json({
+      success: true,
+      cached: false,
+      watchlist: watchlistId,
+      data: comparison
+    });
+
+  } catch (error) {
+    console.error('Error comparing transcript themes:', error);
+
+    if (error instanceof UpstreamError) {
+      return res.status(error.httpStatus).json({
+        error: 'Upstream error',
+        message: error.message,
+        upstream: error
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,191 @@
+/**
+ * Serverless API Function: Valuation Multiples
+ *
+ * Combines each company's latest price with its trailing-twelve-month
+ * fundamentals (last four quarterly filings) into market cap, enterprise
+ * value, P/E, P/S, EV/EBITDA, price-to-book and FCF yield, plus the peer
+ * median of each multiple and every company's position relative to it.
+ *
+ * Query Parameters:
+ * - tickers: Comma-separated ticker symbols (takes precedence)
+ * - watchlist: Preset watchlist id (defaults to the Big Tech watchlist)
+ *
+ * Environment Variables Required:
+ * - API_KEY: API Ninjas authentication key (not needed with MARKET_DATA_PROVIDER=fixture)
+ */
+
+const { resolveCompanies } = require('../lib/watchlists');
+const { findUnknownTicker } = require('../lib/symbols');
+const { fetchFilings } = require('../lib/earnings');
+const { TTM_QUARTERS, computeValuation, comparePeers } = require('../lib/valuation');
+const { UpstreamError, settle } = require('../lib/upstream');
+const { getProvider } = require('../lib/providers');
+
+// In-memory cache for valuations (5-minute TTL, prices move)
+const cache = new Map();
+const CACHE_TTL = 5 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 20;
+
+/**
+ * Fetches the price and recent filings for one company and values it
+ * @param {Object} provider - Market data provider
+ * @param {{ticker: string, name: string}} company - Company to value
+ * @returns {Promise<Object>} Valuation with ticker, company name and price
+ */
+async function valueCompany(provider, company) {
+  const [quote, filings] = await Promise.all([
+    provider.quote(company.ticker),
+    fetchFilings(provider, company.ticker, { quarters: TTM_QUARTERS })
+  ]);
+
+  if (!filings) {
+    throw new Error('Earnings data not available for this ticker');
+  }
+
+  // Newest first, so the latest filing supplies shares and the balance sheet
+  const sorted = filings.filings.sort((a, b) =>
+    (b.filing_info?.period_end_date || '').localeCompare(a.filing_info?.period_end_date || '')
+  );
+  const price = typeof quote.price === 'number' ? quote.price : null;
+
+  return {
+    ticker: company.ticker,
+    companyName: company.name,
+    price,
+    ...computeValuation({ price, filings: sorted })
+  };
+}
+
+/**
+ * Values a set of companies and compares them with the peer median
+ * @param {Object} provider - Market data provider
+ * @param {Array<{ticker: string, name: string}>} companies - Companies to value
+ * @returns {Promise<Object>} { companies, peerMedian, failed }
+ */
+async function buildValuations(provider, companies) {
+  const results = await Promise.all(companies.map(company => settle(valueCompany(provider, company))));
+
+  const valued = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    if (result.success) {
+      valued.push(result.data);
+    } else {
+      failed.push({ ticker: companies[index].ticker, error: result.error.message });
+    }
+  });
+
+  if (valued.length === 0) {
+    throw results[0].error;
+  }
+
+  const { peerMedian, relativeToMedian } = comparePeers(valued);
+
+  return {
+    companies: valued.map((valuation, index) => ({
+      ...valuation,
+      relativeToMedianPercent: relativeToMedian[index]
+    })),
+    peerMedian,
+    failed
+  };
+}
+
+/**
+ * Main handler with caching
+ */
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  // Resolve the requested companies from `tickers` or `watchlist`
+  const { companies, watchlistId, error: watchlistError } = resolveCompanies(req.query);
+  if (watchlistError) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: watchlistError
+    });
+  }
+
+  // Quotes and filings both need the API key when live
+  const provider = getProvider();
+  if (provider.configError) {
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: provider.configError
+    });
+  }
+
+  // Tickers outside the symbol master are confirmed with the provider
+  const unknownTicker = await findUnknownTicker(provider, companies.map(company => company.ticker));
+  if (unknownTicker) {
+    return res.status(400).json({
+      error: 'Bad request',
+      message: `Unknown ticker symbol: ${unknownTicker}`
+    });
+  }
+
+  try {
+    const cacheKey = companies.map(company => company.ticker).join(',');
+    const cached = cache.get(cacheKey);
+
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return res.status(200).json({
+        success: true,
+        cached: true,
+        watchlist: watchlistId,
+        data: cached.data
+      });
+    }
+
+    const valuations = await buildValuations(provider, companies);
+
+    cache.set(cacheKey, {
+      timestamp: Date.now(),
+      data: valuations
+    });
+
+    if (cache.size > MAX_CACHE_ENTRIES) {
+      const firstKey = cache.keys().next().value;
+      cache.delete(firstKey);
+    }
+
+    return res.status(200).json({
+      success: true,
+      cached: false,
+      watchlist: watchlistId,
+      data: valuations
+    });
+
+  } catch (error) {
+    console.error('Error building valuations:', error);
+
+    if (error instanceof UpstreamError) {
+      return res.status(error.httpStatus).json({
+        error: 'Upstream error',
+        message: error.message,
+        upstream: error
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
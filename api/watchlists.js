@@ -0,0 +1,58 @@
+/**
+ * Serverless API Function: Watchlists
+ *
+ * Returns the preset watchlists the dashboard can switch between, with
+ * company names resolved for every ticker. Custom watchlists are stored in
+ * the browser and passed to other endpoints as a `tickers` parameter.
+ */
+
+const { WATCHLISTS, DEFAULT_WATCHLIST_ID, MAX_TICKERS, describeWatchlist, getWatchlist } = require('../lib/watchlists');
+
+/**
+ * Main handler
+ */
+module.exports = async function handler(req, res) {
+  // CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'X-Requested-With, Content-Type, Accept');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'This endpoint only accepts GET requests'
+    });
+  }
+
+  // Single watchlist lookup
+  if (req.query.id) {
+    const watchlist = getWatchlist(req.query.id);
+
+    if (!watchlist) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: `Unknown watchlist: ${req.query.id}`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: describeWatchlist(watchlist)
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      defaultWatchlistId: DEFAULT_WATCHLIST_ID,
+      maxTickers: MAX_TICKERS,
+      watchlists: WATCHLISTS.map(describeWatchlist)
+    }
+  });
+};
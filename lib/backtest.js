@@ -0,0 +1,335 @@
+/**
+ * Shared Module: Backtest
+ *
+ * Replays the recommendation model (lib/recommendation.js) over past
+ * daily prices. On each rebalance date the model is scored with only what
+ * was known that day:
+ *
+ * - priceTrend: the change over the month before the date, as the live
+ *   model's 30-day trend
+ * - sentiment: the latest earnings call held before the date
+ * - economic: the archived macro readings published by the date
+ *   (lib/macro-history.js); when the archive does not reach a date the
+ *   factor is neutral there and the result carries a warning
+ *
+ * The strategy holds the stock from a BUY signal to the next rebalance
+ * and is in cash after HOLD or SELL, trading at the rebalance day's price
+ * without costs. It is measured against buying and holding the stock and
+ * against a benchmark over the same days. A BUY is a hit when the stock
+ * rises before the next rebalance and a SELL when it falls; HOLD is not
+ * counted. Returns are percentages on the adjusted close.
+ */
+
+const { generateRecommendation } = require('./recommendation');
+const { economicDataAsOf, describeMacroHistory } = require('./macro-history');
+const { maxDrawdown, alignToDates } = require('./risk');
+
+// Replay windows, in months of daily history
+const BACKTEST_RANGES = {
+  '1y': 12,
+  '2y': 24,
+  '5y': 60
+};
+const DEFAULT_BACKTEST_RANGE = '2y';
+
+const REBALANCE_FREQUENCIES = {
+  monthly: { months: 1, label: 'Monthly' },
+  quarterly: { months: 3, label: 'Quarterly' }
+};
+const DEFAULT_REBALANCE = 'monthly';
+
+// History needed before the first rebalance, for the trend factor
+const TREND_LOOKBACK_MONTHS = 1;
+
+const SIGNALS = ['BUY', 'HOLD', 'SELL'];
+
+function round(value, decimals = 2) {
+  return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Resolves the replay window and rebalance frequency from the query
+ * @param {Object} query - Request query ({ range, rebalance })
+ * @returns {{range: string, rebalance: string, error: string|null}}
+ */
+function resolveBacktestOptions(query) {
+  const range = String(query.range || DEFAULT_BACKTEST_RANGE).toLowerCase();
+  const rebalance = String(query.rebalance || DEFAULT_REBALANCE).toLowerCase();
+
+  if (!BACKTEST_RANGES[range]) {
+    return { range, rebalance, error: `Invalid range "${range.slice(0, 10)}". Expected one of: ${Object.keys(BACKTEST_RANGES).join(', ')}` };
+  }
+  if (!REBALANCE_FREQUENCIES[rebalance]) {
+    return { range, rebalance, error: `Invalid rebalance "${rebalance.slice(0, 20)}". Expected one of: ${Object.keys(REBALANCE_FREQUENCIES).join(', ')}` };
+  }
+  return { range, rebalance, error: null };
+}
+
+/**
+ * Moves a "YYYY-MM-DD" date by whole months
+ */
+function shiftMonths(date, months) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCMonth(shifted.getUTCMonth() + months);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Index of the first date on or after a date (dates ascending), or -1
+ */
+function firstIndexFrom(dates, date) {
+  return dates.findIndex(d => d >= date);
+}
+
+/**
+ * Bar indices to rebalance on: the first trading day once the trend
+ * lookback is covered, then the first trading day of every later period
+ * @param {string[]} dates - Trading days, ascending
+ * @param {number} months - Months between rebalances
+ * @returns {number[]}
+ */
+function rebalanceIndices(dates, months) {
+  const start = firstIndexFrom(dates, shiftMonths(dates[0], TREND_LOOKBACK_MONTHS));
+  if (start === -1) {
+    return [];
+  }
+
+  const monthNumber = date => Number(date.slice(0, 4)) * 12 + Number(date.slice(5, 7));
+  const startMonth = monthNumber(dates[start]);
+  const indices = [start];
+
+  for (let i = start + 1; i < dates.length; i++) {
+    const month = monthNumber(dates[i]);
+    if (month !== monthNumber(dates[i - 1]) && (month - startMonth) % months === 0) {
+      indices.push(i);
+    }
+  }
+  return indices;
+}
+
+/**
+ * Price change over the month before a bar, shaped like the /api/history
+ * statistics the model reads
+ */
+function trendAt(dates, prices, index) {
+  const from = firstIndexFrom(dates, shiftMonths(dates[index], -TREND_LOOKBACK_MONTHS));
+  if (from === -1 || from >= index) {
+    return null;
+  }
+  return { trendPercent: round((prices[index] / prices[from] - 1) * 100) };
+}
+
+/**
+ * Latest scored call held before a date
+ * @param {Array} calls - { year, quarter, date, sentimentData }, ascending by date
+ */
+function callBefore(calls, date) {
+  let latest = null;
+  for (const call of calls) {
+    if (call.date >= date) break;
+    latest = call;
+  }
+  return latest;
+}
+
+/**
+ * Total return, annualized return and worst drawdown of an equity curve
+ */
+function curveStatistics(dates, values) {
+  const first = values[0];
+  const last = values[values.length - 1];
+  const days = (new Date(dates[dates.length - 1]) - new Date(dates[0])) / (24 * 60 * 60 * 1000);
+  const total = last / first - 1;
+
+  return {
+    totalReturn: round(total * 100),
+    annualizedReturn: days >= 365 ? round((Math.pow(1 + total, 365 / days) - 1) * 100) : null,
+    maxDrawdown: maxDrawdown(dates, values)
+  };
+}
+
+/**
+ * Hit rate of the signals that make a call
+ */
+function hitRate(rows) {
+  const calls = rows.filter(row => row.hit !== null);
+  const hits = calls.filter(row => row.hit).length;
+  return {
+    hits,
+    calls: calls.length,
+    percent: calls.length > 0 ? round((hits / calls.length) * 100, 1) : null
+  };
+}
+
+/**
+ * Warning for rebalance dates the macro archive has no reading for
+ * @returns {{factor: string, message: string}|null}
+ */
+function macroCoverageWarning(covered, rebalances, macro) {
+  if (covered >= rebalances) {
+    return null;
+  }
+
+  const archive = describeMacroHistory(macro)
+    .map(m => `${m.label} ${m.from} to ${m.to}${m.appended ? ` plus ${m.appended}` : ''}`)
+    .join(', ');
+  return {
+    factor: 'economic',
+    message: `Macro readings cover only ${covered} of ${rebalances} rebalance dates (${archive}). ` +
+      'The economic factor is neutral on the other dates.'
+  };
+}
+
+/**
+ * Runs the model over a price history
+ * @param {Object} data
+ * @param {string[]} data.dates - Trading days, ascending
+ * @param {number[]} data.prices - Adjusted close per day
+ * @param {Array} data.calls - Scored earnings calls { year, quarter, date, sentimentData }, ascending by date
+ * @param {Object|null} data.benchmark - { ticker, name, dates, prices }
+ * @param {Object} [data.macro] - Macro archive from withLatestReadings (default: the bundled one)
+ * @param {Object} options
+ * @param {string} options.rebalance - Key of REBALANCE_FREQUENCIES
+ * @param {Object} options.model - Output of resolveModelRequest
+ * @returns {Object|null} { period, signals, summary, equity, coverage, warnings, model }, or null
+ *   when the history is too short to rebalance twice
+ */
+function runBacktest({ dates, prices, calls, benchmark, macro }, { rebalance, model }) {
+  const indices = rebalanceIndices(dates, REBALANCE_FREQUENCIES[rebalance].months);
+  if (indices.length < 2) {
+    return null;
+  }
+
+  const first = indices[0];
+  const last = dates.length - 1;
+  const benchmarkPrices = benchmark ? alignToDates(dates, benchmark) : null;
+  const periodReturn = (series, from, to) => (
+    series[from] && series[to] ? round((series[to] / series[from] - 1) * 100) : null
+  );
+
+  const coverage = Object.fromEntries(model.factors.map(factor => [factor.id, 0]));
+  const signals = indices.map((index, n) => {
+    const date = dates[index];
+    const end = n + 1 < indices.length ? indices[n + 1] : last;
+    const call = callBefore(calls, date);
+    const economicData = economicDataAsOf(date, macro);
+    const historicalTrend = trendAt(dates, prices, index);
+
+    const macroKnown = Object.values(economicData.indicators).some(indicator => indicator.available);
+
+    const result = generateRecommendation({
+      sentimentData: call ? call.sentimentData : null,
+      economicData: macroKnown ? economicData : null,
+      historicalTrend,
+      riskMetrics: null
+    }, model);
+
+    result.contributions.forEach(c => {
+      if (c.available) coverage[c.id]++;
+    });
+
+    // A rebalance on the last day has no period after it yet
+    const forwardReturn = end > index ? periodReturn(prices, index, end) : null;
+    const benchmarkReturn = benchmarkPrices && end > index ? periodReturn(benchmarkPrices, index, end) : null;
+    const { recommendation } = result;
+
+    return {
+      date,
+      endDate: dates[end],
+      price: round(prices[index]),
+      recommendation,
+      confidence: result.confidence,
+      score: result.score,
+      contributions: Object.fromEntries(result.contributions.map(c => [c.id, c.contribution])),
+      inputs: {
+        trendPercent: historicalTrend ? historicalTrend.trendPercent : null,
+        sentimentScore: call ? call.sentimentData.overall.score : null,
+        call: call ? { year: call.year, quarter: call.quarter, date: call.date } : null,
+        inflation: economicData.indicators.inflation.value,
+        unemployment: economicData.indicators.unemployment.value
+      },
+      invested: recommendation === 'BUY',
+      forwardReturn,
+      benchmarkReturn,
+      excessReturn: forwardReturn !== null && benchmarkReturn !== null ? round(forwardReturn - benchmarkReturn) : null,
+      hit: forwardReturn === null || recommendation === 'HOLD'
+        ? null
+        : (recommendation === 'BUY' ? forwardReturn > 0 : forwardReturn < 0)
+    };
+  });
+
+  // Daily equity curves from the first rebalance, starting at 100
+  const curveDates = dates.slice(first);
+  const buyAndHold = prices.slice(first).map(price => (price / prices[first]) * 100);
+  const strategy = [100];
+  let signal = 0;
+  for (let i = first + 1; i <= last; i++) {
+    if (signal + 1 < indices.length && i > indices[signal + 1]) {
+      signal++;
+    }
+    const held = signals[signal].invested ? prices[i] / prices[i - 1] : 1;
+    strategy.push(strategy[strategy.length - 1] * held);
+  }
+  const benchmarkCurve = benchmarkPrices && benchmarkPrices[first]
+    ? benchmarkPrices.slice(first).map(price => (price / benchmarkPrices[first]) * 100)
+    : null;
+
+  const strategyStats = curveStatistics(curveDates, strategy);
+  const buyAndHoldStats = curveStatistics(curveDates, buyAndHold);
+  const benchmarkStats = benchmarkCurve ? curveStatistics(curveDates, benchmarkCurve) : null;
+
+  const averageForwardReturn = {};
+  for (const recommendation of SIGNALS) {
+    const returns = signals
+      .filter(row => row.recommendation === recommendation && row.forwardReturn !== null)
+      .map(row => row.forwardReturn);
+    averageForwardReturn[recommendation] = returns.length > 0
+      ? round(returns.reduce((sum, r) => sum + r, 0) / returns.length)
+      : null;
+  }
+
+  return {
+    period: { start: dates[first], end: dates[last], rebalance, rebalances: signals.length },
+    signals,
+    summary: {
+      strategy: strategyStats,
+      buyAndHold: buyAndHoldStats,
+      benchmark: benchmarkStats ? { ticker: benchmark.ticker, name: benchmark.name, ...benchmarkStats } : null,
+      excessVsBuyAndHold: round(strategyStats.totalReturn - buyAndHoldStats.totalReturn),
+      excessVsBenchmark: benchmarkStats ? round(strategyStats.totalReturn - benchmarkStats.totalReturn) : null,
+      exposurePercent: round((signals.filter(row => row.invested).length / signals.length) * 100, 1),
+      signalCounts: Object.fromEntries(SIGNALS.map(s => [s, signals.filter(row => row.recommendation === s).length])),
+      hitRate: {
+        overall: hitRate(signals),
+        BUY: hitRate(signals.filter(row => row.recommendation === 'BUY')),
+        SELL: hitRate(signals.filter(row => row.recommendation === 'SELL'))
+      },
+      averageForwardReturn
+    },
+    equity: {
+      dates: curveDates,
+      strategy: strategy.map(value => round(value)),
+      buyAndHold: buyAndHold.map(value => round(value)),
+      benchmark: benchmarkCurve ? benchmarkCurve.map(value => round(value)) : null
+    },
+    // Rebalances each factor had data for; a factor without data signals 0
+    coverage,
+    warnings: [macroCoverageWarning(coverage.economic, signals.length, macro)].filter(Boolean),
+    model: {
+      version: model.version,
+      description: model.description,
+      tuned: model.tuned,
+      factors: model.factors.map(({ id, label, weight, thresholds }) => ({ id, label, weight, thresholds }))
+    }
+  };
+}
+
+module.exports = {
+  BACKTEST_RANGES,
+  DEFAULT_BACKTEST_RANGE,
+  REBALANCE_FREQUENCIES,
+  DEFAULT_REBALANCE,
+  resolveBacktestOptions,
+  rebalanceIndices,
+  runBacktest
+};
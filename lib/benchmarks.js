@@ -0,0 +1,109 @@
+/**
+ * Shared Module: Benchmarks
+ *
+ * Market and sector reference series for comparison charts and beta.
+ * A benchmark is any symbol-master ticker, plus the keyword "sector",
+ * which resolves to the Select Sector SPDR ETF for a company's sector.
+ */
+
+const { getSymbol, validateTicker } = require('./symbols');
+
+// Friendly names for the common market benchmarks
+const MARKET_BENCHMARKS = {
+  SPY: 'S&P 500',
+  QQQ: 'Nasdaq-100',
+  DIA: 'Dow Jones Industrial Average',
+  IWM: 'Russell 2000'
+};
+
+// Select Sector SPDR ETF per symbol-master sector
+const SECTOR_ETFS = {
+  'Information Technology': 'XLK',
+  'Communication Services': 'XLC',
+  'Consumer Discretionary': 'XLY',
+  'Consumer Staples': 'XLP',
+  'Financials': 'XLF',
+  'Health Care': 'XLV',
+  'Energy': 'XLE',
+  'Industrials': 'XLI',
+  'Utilities': 'XLU',
+  'Real Estate': 'XLRE',
+  'Materials': 'XLB'
+};
+
+const SECTOR_KEYWORD = 'SECTOR';
+const MAX_BENCHMARKS = 4;
+
+/**
+ * Describes a benchmark ticker for display
+ * @param {string} ticker - Benchmark ticker
+ * @returns {{ticker: string, name: string}}
+ */
+function describeBenchmark(ticker) {
+  if (MARKET_BENCHMARKS[ticker]) {
+    return { ticker, name: MARKET_BENCHMARKS[ticker] };
+  }
+
+  const sector = Object.keys(SECTOR_ETFS).find(name => SECTOR_ETFS[name] === ticker);
+  if (sector) {
+    return { ticker, name: `${sector} sector` };
+  }
+
+  const symbol = getSymbol(ticker);
+  return { ticker, name: symbol ? symbol.name : ticker };
+}
+
+/**
+ * Sector ETF for a company, if its sector has one
+ * @param {string} ticker - Company ticker
+ * @returns {string|null} ETF ticker
+ */
+function getSectorBenchmark(ticker) {
+  const symbol = getSymbol(ticker);
+  return symbol ? SECTOR_ETFS[symbol.sector] || null : null;
+}
+
+/**
+ * Resolves a benchmark list such as "SPY,QQQ,sector"
+ * "sector" adds the sector ETF of each company (deduplicated).
+ * @param {string} param - Comma-separated benchmark tickers or "sector"
+ * @param {string[]} tickers - Companies being benchmarked
+ * @returns {{benchmarks: Array<{ticker: string, name: string}>, error: string|null}}
+ */
+function resolveBenchmarks(param, tickers) {
+  const requested = String(param || '')
+    .split(',')
+    .map(item => item.trim().toUpperCase())
+    .filter(Boolean);
+
+  const resolved = [];
+  for (const item of requested) {
+    if (item === SECTOR_KEYWORD) {
+      tickers.forEach(ticker => {
+        const etf = getSectorBenchmark(ticker);
+        if (etf) resolved.push(etf);
+      });
+      continue;
+    }
+
+    const { ticker, error } = validateTicker(item);
+    if (error) {
+      return { benchmarks: [], error: `Invalid benchmark: ${error}` };
+    }
+    resolved.push(ticker);
+  }
+
+  const unique = [...new Set(resolved)];
+  if (unique.length > MAX_BENCHMARKS) {
+    return { benchmarks: [], error: `A maximum of ${MAX_BENCHMARKS} benchmarks can be requested` };
+  }
+
+  return { benchmarks: unique.map(describeBenchmark), error: null };
+}
+
+module.exports = {
+  MARKET_BENCHMARKS,
+  describeBenchmark,
+  getSectorBenchmark,
+  resolveBenchmarks
+};
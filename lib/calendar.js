@@ -0,0 +1,209 @@
+/**
+ * Shared Module: Earnings Calendar
+ *
+ * Splits a company's earnings reports into scheduled and past releases,
+ * labels each with the fiscal quarter it covers, classifies past EPS and
+ * revenue against the consensus estimate, and measures the stock's move
+ * the trading day after each release.
+ *
+ * - A report is scheduled when it is dated today or later and has no
+ *   actual EPS or revenue figure yet; a past report the provider never
+ *   filled in stays in the history with no beat/miss outcome
+ * - Surprise is (actual - estimate) / |estimate|; within
+ *   IN_LINE_THRESHOLD_PERCENT either way it counts as in line
+ * - The day-after move is the stock's first close after the release
+ *   against its last close before it: for a report before the open, the
+ *   report day's close against the previous close; after the close, the
+ *   next trading day's close against the report day's. Without a timing
+ *   it spans both days, from the close before the report date to the close
+ *   after it, so the reaction is in it either way
+ * - Reports are cached per ticker for CALENDAR_CACHE_TTL, so the
+ *   calendar and the filing endpoints share one upstream call
+ */
+
+const { settle } = require('./upstream');
+const { getFiscalCalendar, fiscalQuarterReportedOn } = require('./fiscal');
+
+const IN_LINE_THRESHOLD_PERCENT = 1;
+
+// Reports by ticker (1 hour TTL - dates and estimates change slowly)
+const reportsCache = new Map();
+const CALENDAR_CACHE_TTL = 60 * 60 * 1000;
+const MAX_CACHED_CALENDARS = 50;
+
+function round(value, decimals = 2) {
+  return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Compares an actual figure with its estimate
+ * @param {number|null} actual - Reported figure
+ * @param {number|null} estimate - Consensus estimate
+ * @returns {{estimate: number|null, actual: number|null, surprisePercent: number|null, outcome: string|null}}
+ *   outcome is "beat", "miss" or "in-line", null without both figures
+ */
+function classifySurprise(actual, estimate) {
+  if (typeof actual !== 'number' || typeof estimate !== 'number' || estimate === 0) {
+    return { estimate: estimate ?? null, actual: actual ?? null, surprisePercent: null, outcome: null };
+  }
+
+  const surprisePercent = round(((actual - estimate) / Math.abs(estimate)) * 100);
+  let outcome = 'in-line';
+  if (surprisePercent > IN_LINE_THRESHOLD_PERCENT) {
+    outcome = 'beat';
+  } else if (surprisePercent < -IN_LINE_THRESHOLD_PERCENT) {
+    outcome = 'miss';
+  }
+
+  return { estimate, actual, surprisePercent, outcome };
+}
+
+/**
+ * Stock move on the first close after a release
+ * @param {Array<{date: string, close: number}>} bars - Daily bars, oldest first
+ * @param {string} date - Report date (YYYY-MM-DD)
+ * @param {string|null} [timing] - "before-open", "after-close" or null when unknown
+ * @returns {{fromDate: string, toDate: string, timing: string|null, movePercent: number}|null}
+ *   Null when the bars don't cover the date
+ */
+function dayAfterMove(bars, date, timing = null) {
+  // A report before the open moves the report day's own close
+  const afterIndex = timing === 'before-open'
+    ? bars.findIndex(bar => bar.date >= date)
+    : bars.findIndex(bar => bar.date > date);
+  if (afterIndex <= 0) {
+    return null;
+  }
+
+  // Without a timing, start before the report date so either reaction is included
+  let beforeIndex = afterIndex - 1;
+  if (timing === null && bars[beforeIndex].date === date) {
+    beforeIndex -= 1;
+  }
+  if (beforeIndex < 0) {
+    return null;
+  }
+
+  const before = bars[beforeIndex];
+  const after = bars[afterIndex];
+  if (typeof before.close !== 'number' || typeof after.close !== 'number' || before.close === 0) {
+    return null;
+  }
+
+  return {
+    fromDate: before.date,
+    toDate: after.date,
+    timing,
+    movePercent: round(((after.close - before.close) / before.close) * 100)
+  };
+}
+
+/**
+ * Builds a company's earnings calendar
+ * @param {Object} params
+ * @param {string} params.ticker - Stock ticker
+ * @param {Array} params.reports - Reports from provider.earningsCalendar
+ * @param {Array|null} [params.bars] - Daily bars for day-after moves (moves are null without them)
+ * @param {string} [params.today] - Today's date (YYYY-MM-DD, UTC); earlier reports are never upcoming
+ * @returns {Object} { ticker, fiscalCalendar, next, upcoming (soonest first), history (newest first) }
+ */
+function buildEarningsCalendar({ ticker, reports, bars = null, today = new Date().toISOString().slice(0, 10) }) {
+  const fiscalCalendar = getFiscalCalendar(ticker);
+
+  const labelled = reports.map(report => {
+    const { year, quarter } = fiscalQuarterReportedOn(new Date(`${report.date}T00:00:00Z`), fiscalCalendar);
+    return { ...report, fiscalYear: year, fiscalQuarter: quarter };
+  });
+
+  const isReported = report => typeof report.epsActual === 'number' || typeof report.revenueActual === 'number';
+  const isUpcoming = report => !isReported(report) && report.date >= today;
+
+  const upcoming = labelled
+    .filter(isUpcoming)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(report => ({
+      date: report.date,
+      timing: report.timing ?? null,
+      fiscalYear: report.fiscalYear,
+      fiscalQuarter: report.fiscalQuarter,
+      epsEstimate: report.epsEstimate ?? null,
+      revenueEstimate: report.revenueEstimate ?? null
+    }));
+
+  const history = labelled
+    .filter(report => !isUpcoming(report))
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .map(report => ({
+      date: report.date,
+      timing: report.timing ?? null,
+      fiscalYear: report.fiscalYear,
+      fiscalQuarter: report.fiscalQuarter,
+      eps: classifySurprise(report.epsActual, report.epsEstimate),
+      revenue: classifySurprise(report.revenueActual, report.revenueEstimate),
+      dayAfter: bars ? dayAfterMove(bars, report.date, report.timing ?? null) : null
+    }));
+
+  return {
+    ticker,
+    fiscalCalendar,
+    next: upcoming[0] || null,
+    upcoming,
+    history
+  };
+}
+
+/**
+ * A company's earnings reports, from the cache when fetched within the TTL
+ * @param {Object} provider - Market data provider
+ * @param {string} ticker - Stock ticker
+ * @returns {Promise<Array>} Reports from provider.earningsCalendar
+ */
+async function fetchReports(provider, ticker) {
+  const cached = reportsCache.get(ticker);
+  if (cached && Date.now() - cached.timestamp < CALENDAR_CACHE_TTL) {
+    return cached.reports;
+  }
+
+  const { reports } = await provider.earningsCalendar(ticker);
+  reportsCache.set(ticker, { timestamp: Date.now(), reports });
+
+  if (reportsCache.size > MAX_CACHED_CALENDARS) {
+    const firstKey = reportsCache.keys().next().value;
+    reportsCache.delete(firstKey);
+  }
+  return reports;
+}
+
+/**
+ * Fetches reports (and, optionally, daily prices) and builds the calendar
+ * Price history is best-effort: without it day-after moves are null.
+ * @param {Object} provider - Market data provider
+ * @param {string} ticker - Stock ticker
+ * @param {Object} [options]
+ * @param {boolean} [options.moves=true] - Fetch two years of daily bars for day-after moves
+ * @returns {Promise<Object>} Output of buildEarningsCalendar
+ */
+async function fetchEarningsCalendar(provider, ticker, { moves = true } = {}) {
+  const [reports, history] = await Promise.all([
+    fetchReports(provider, ticker),
+    moves ? settle(provider.history(ticker, { range: '2y', interval: '1d' })) : null
+  ]);
+
+  if (history && !history.success) {
+    console.error(`Price history unavailable for ${ticker} day-after moves:`, history.error.message);
+  }
+
+  return buildEarningsCalendar({
+    ticker,
+    reports,
+    bars: history && history.success ? history.data.bars : null
+  });
+}
+
+module.exports = {
+  IN_LINE_THRESHOLD_PERCENT,
+  classifySurprise,
+  dayAfterMove,
+  buildEarningsCalendar,
+  fetchEarningsCalendar
+};
@@ -0,0 +1,343 @@
+/**
+ * Shared Module: Earnings Series
+ *
+ * Fiscal quarter arithmetic, query parsing for multi-quarter requests,
+ * fetching the latest filing or a run of quarterly filings from a
+ * provider, and the per-quarter summary (revenue, net income, margins,
+ * EPS and growth) returned by /api/earnings?quarters=N.
+ *
+ * Quarters are fiscal quarters as reported by the filings, written as
+ * "2025Q3" in query strings; lib/fiscal.js maps dates onto each company's
+ * fiscal calendar. QoQ growth compares with the previous fiscal
+ * quarter and YoY growth with the same quarter a year earlier; either is
+ * null when that quarter is not part of the series.
+ */
+
+const { UpstreamError, settle } = require('./upstream');
+const { computeMargins } = require('./ratios');
+const { getFiscalCalendar, latestFiledQuarter } = require('./fiscal');
+
+const DEFAULT_SERIES_QUARTERS = 8;
+const MAX_SERIES_QUARTERS = 20;
+
+// The latest filing is looked for in the last two fiscal years: the expected
+// quarter alone, then the rest in parallel batches (at most 3 round-trips)
+const LATEST_FILING_WINDOW = 8;
+const PROBE_BATCH_SIZES = [1, 3, 4];
+
+const QUARTER_PATTERN = /^(\d{4})-?Q([1-4])$/;
+
+/**
+ * Parses a quarter such as "2025Q3" or "2025-Q3"
+ * @param {string} value - Quarter text
+ * @returns {{year: number, quarter: number}|null} Null when malformed
+ */
+function parseQuarter(value) {
+  const match = String(value || '').trim().toUpperCase().match(QUARTER_PATTERN);
+  return match ? { year: parseInt(match[1], 10), quarter: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * The fiscal quarter before the given one
+ * @param {{year: number, quarter: number}} period
+ * @returns {{year: number, quarter: number}}
+ */
+function previousQuarter({ year, quarter }) {
+  return quarter === 1 ? { year: year - 1, quarter: 4 } : { year, quarter: quarter - 1 };
+}
+
+/**
+ * Orders quarters chronologically (negative when a is earlier)
+ */
+function compareQuarters(a, b) {
+  return a.year - b.year || a.quarter - b.quarter;
+}
+
+/**
+ * Lists the quarters from `from` to `to`, inclusive, newest first
+ * @returns {Array<{year: number, quarter: number}>}
+ */
+function quartersBetween(from, to) {
+  const quarters = [];
+  for (let period = to; compareQuarters(period, from) >= 0; period = previousQuarter(period)) {
+    quarters.push(period);
+  }
+  return quarters;
+}
+
+/**
+ * Lists `count` quarters ending with `latest`, newest first
+ * @returns {Array<{year: number, quarter: number}>}
+ */
+function quartersEndingAt(latest, count) {
+  const quarters = [latest];
+  while (quarters.length < count) {
+    quarters.push(previousQuarter(quarters[quarters.length - 1]));
+  }
+  return quarters;
+}
+
+/**
+ * Resolves a multi-quarter request from its query string
+ * Either `quarters=N` (the N most recent filings) or `from` and `to`
+ * (e.g. from=2024Q1&to=2025Q4). With none of them the request is for the
+ * latest filing only and `series` is null.
+ * @param {Object} query - Request query ({ quarters, from, to })
+ * @returns {{series: Object|null, error: string|null}} series is { quarters } or { from, to }
+ */
+function resolveSeriesRequest(query) {
+  if (query.from || query.to) {
+    const from = parseQuarter(query.from);
+    const to = parseQuarter(query.to);
+
+    if (!from || !to) {
+      return { series: null, error: 'Provide both from and to as fiscal quarters, e.g. from=2024Q1&to=2025Q4' };
+    }
+    if (compareQuarters(from, to) > 0) {
+      return { series: null, error: 'from must not be later than to' };
+    }
+    if (quartersBetween(from, to).length > MAX_SERIES_QUARTERS) {
+      return { series: null, error: `A range can span at most ${MAX_SERIES_QUARTERS} quarters` };
+    }
+    return { series: { from, to }, error: null };
+  }
+
+  if (query.quarters === undefined) {
+    return { series: null, error: null };
+  }
+
+  const quarters = query.quarters === '' ? DEFAULT_SERIES_QUARTERS : Number(query.quarters);
+  if (!Number.isInteger(quarters) || quarters < 1 || quarters > MAX_SERIES_QUARTERS) {
+    return { series: null, error: `quarters must be a whole number from 1 to ${MAX_SERIES_QUARTERS}` };
+  }
+  return { series: { quarters }, error: null };
+}
+
+function round(value, decimals = 2) {
+  return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Percent change from a prior value (relative to its magnitude, so a
+ * smaller loss reads as growth)
+ */
+function growthPercent(current, prior) {
+  if (typeof current !== 'number' || typeof prior !== 'number' || prior === 0) {
+    return null;
+  }
+  return round(((current - prior) / Math.abs(prior)) * 100);
+}
+
+/**
+ * Summarizes one filing for the series
+ * @param {Object} filing - Earnings filing (API Ninjas shape)
+ * @returns {Object} Period, headline figures and margins
+ */
+function summarizeFiling(filing) {
+  const income = filing.income_statement || {};
+
+  return {
+    fiscalYear: filing.company_info.fiscal_year,
+    fiscalQuarter: filing.company_info.fiscal_quarter,
+    filingDate: filing.filing_info?.filing_date || null,
+    periodEndDate: filing.filing_info?.period_end_date || null,
+    formType: filing.filing_info?.form_type || null,
+    revenue: income.total_revenue ?? null,
+    grossProfit: income.gross_profit ?? null,
+    operatingIncome: income.operating_income ?? null,
+    netIncome: income.net_income ?? null,
+    epsDiluted: income.earnings_per_share_diluted ?? null,
+    ...computeMargins(income)
+  };
+}
+
+/**
+ * Builds the quarterly series with QoQ and YoY growth
+ * @param {Object[]} filings - Earnings filings in any order
+ * @returns {Object[]} Summaries, oldest first, each with a `growth` object
+ */
+function buildEarningsSeries(filings) {
+  const entries = filings
+    .map(summarizeFiling)
+    .sort((a, b) => compareQuarters(
+      { year: a.fiscalYear, quarter: a.fiscalQuarter },
+      { year: b.fiscalYear, quarter: b.fiscalQuarter }
+    ));
+
+  const byQuarter = new Map(entries.map(entry => [`${entry.fiscalYear}Q${entry.fiscalQuarter}`, entry]));
+  const find = ({ year, quarter }) => byQuarter.get(`${year}Q${quarter}`) || null;
+
+  return entries.map(entry => {
+    const period = { year: entry.fiscalYear, quarter: entry.fiscalQuarter };
+    const prior = find(previousQuarter(period));
+    const yearAgo = find({ year: period.year - 1, quarter: period.quarter });
+
+    const growth = {};
+    for (const key of ['revenue', 'netIncome', 'epsDiluted']) {
+      growth[key] = {
+        qoqPercent: prior ? growthPercent(entry[key], prior[key]) : null,
+        yoyPercent: yearAgo ? growthPercent(entry[key], yearAgo[key]) : null
+      };
+    }
+
+    return { ...entry, growth };
+  });
+}
+
+/**
+ * The company's most recent fiscal quarter that should have been filed
+ * @param {string} ticker - Stock ticker
+ * @param {Date} [now] - Reference date
+ * @returns {{year: number, quarter: number}}
+ */
+function getMostRecentQuarter(ticker, now = new Date()) {
+  return latestFiledQuarter(getFiscalCalendar(ticker), now);
+}
+
+/**
+ * Whether a failed filing request just means the quarter has no filing
+ * (anything else, like a rejected API key, a rate limit or an outage,
+ * fails the whole series)
+ */
+function isMissingFiling(error) {
+  return error instanceof UpstreamError && error.notFound;
+}
+
+/**
+ * Fetches the latest available filing for a ticker
+ * The expected quarter from the company's fiscal calendar is tried alone
+ * first; if it has not been filed, the older quarters in the window are
+ * probed in parallel batches and the newest filing found wins.
+ * @param {Object} provider - Market data provider
+ * @param {string} ticker - Stock ticker
+ * @returns {Promise<Object|null>} Filing, or null when no quarter in the window has one
+ * @throws {UpstreamError} For any failure other than a missing filing, from
+ *   the first batch it happens in
+ */
+async function fetchEarningsData(provider, ticker) {
+  try {
+    const expected = getMostRecentQuarter(ticker);
+    const periods = quartersEndingAt(expected, LATEST_FILING_WINDOW);
+    console.log(`Fetching earnings data for ${ticker} - starting with Q${expected.quarter} ${expected.year}...`);
+
+    let start = 0;
+    for (const size of PROBE_BATCH_SIZES) {
+      const batch = periods.slice(start, start + size);
+      start += size;
+      if (batch.length === 0) {
+        break;
+      }
+
+      console.log(`Trying ${ticker} ${batch.map(p => `Q${p.quarter} ${p.year}`).join(', ')}...`);
+      const results = await Promise.all(batch.map(period => settle(provider.earnings(ticker, period))));
+
+      // Newest first, so the first success is the latest filing
+      for (const [index, result] of results.entries()) {
+        const period = batch[index];
+        if (result.success) {
+          const data = result.data;
+          console.log(`✓ Earnings data received for ${ticker} - Q${period.quarter} ${period.year}`);
+          console.log(`Filing date: ${data.filing_info?.filing_date}, Period end: ${data.filing_info?.period_end_date}`);
+          return data;
+        }
+
+        // Only a missing filing moves on to older quarters: a rejected key or
+        // an exhausted retry would only repeat the failure
+        if (!isMissingFiling(result.error)) {
+          throw result.error;
+        }
+
+        console.log(`✗ No data for ${ticker} Q${period.quarter} ${period.year} (status: ${result.error.statusCode})`);
+      }
+    }
+
+    console.log(`Failed to find earnings data for ${ticker} in the last ${LATEST_FILING_WINDOW} quarters`);
+    return null;
+  } catch (error) {
+    console.error(`Error fetching earnings for ${ticker}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Fetches a run of quarterly filings for a ticker
+ * For `quarters`, the latest filing is located first and the quarters
+ * before it are fetched in parallel; for a range every quarter in it is.
+ * @param {Object} provider - Market data provider
+ * @param {string} ticker - Stock ticker
+ * @param {Object} request - { quarters } or { from, to } from resolveSeriesRequest
+ * @returns {Promise<Object|null>} { filings, missing }, or null when no quarter has a filing
+ */
+async function fetchFilings(provider, ticker, request) {
+  const filings = [];
+  let periods;
+
+  if (request.quarters) {
+    const latest = await fetchEarningsData(provider, ticker);
+    if (!latest) {
+      return null;
+    }
+    filings.push(latest);
+    periods = quartersEndingAt({
+      year: latest.company_info.fiscal_year,
+      quarter: latest.company_info.fiscal_quarter
+    }, request.quarters).slice(1);
+  } else {
+    periods = quartersBetween(request.from, request.to);
+  }
+
+  console.log(`Fetching ${periods.length} earnings filings for ${ticker}...`);
+  const results = await Promise.all(
+    periods.map(period => settle(provider.earnings(ticker, period)))
+  );
+
+  const missing = [];
+  results.forEach((result, index) => {
+    if (result.success) {
+      filings.push(result.data);
+    } else if (isMissingFiling(result.error)) {
+      missing.push(periods[index]);
+    } else {
+      throw result.error;
+    }
+  });
+
+  return filings.length > 0 ? { filings, missing } : null;
+}
+
+/**
+ * Fetches a quarterly earnings series for a ticker
+ * @param {Object} provider - Market data provider
+ * @param {string} ticker - Stock ticker
+ * @param {Object} request - { quarters } or { from, to } from resolveSeriesRequest
+ * @returns {Promise<Object|null>} Series, or null when no quarter has a filing
+ */
+async function fetchEarningsSeries(provider, ticker, request) {
+  const result = await fetchFilings(provider, ticker, request);
+  if (!result) {
+    return null;
+  }
+
+  return {
+    ticker,
+    companyName: result.filings[0].company_info.company_name,
+    fiscalCalendar: getFiscalCalendar(ticker),
+    quarters: buildEarningsSeries(result.filings),
+    missing: result.missing
+  };
+}
+
+module.exports = {
+  DEFAULT_SERIES_QUARTERS,
+  MAX_SERIES_QUARTERS,
+  parseQuarter,
+  previousQuarter,
+  quartersBetween,
+  quartersEndingAt,
+  resolveSeriesRequest,
+  buildEarningsSeries,
+  getMostRecentQuarter,
+  fetchEarningsData,
+  fetchFilings,
+  fetchEarningsSeries
+};
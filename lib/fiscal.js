@@ -0,0 +1,104 @@
+/**
+ * Shared Module: Fiscal Calendars
+ *
+ * Maps calendar dates to each company's fiscal quarters. The symbol
+ * master records the month a company's fiscal year ends in
+ * (`fiscalYearEnd`, 1-12, default December) and, for the few companies
+ * that name a fiscal year after the calendar year it starts in,
+ * `fiscalYearLabel: "start"` (e.g. Target's fiscal 2025 ends January 2026).
+ * Everyone else names it after the year it ends in (Apple's FY2025 ends
+ * September 2025, so October 2024 falls in Q1 FY2025).
+ *
+ * Fiscal years on a 52/53-week calendar can end a few days into the next
+ * month; the symbol master lists the month most of the final week falls in.
+ */
+
+const { getSymbol } = require('./symbols');
+
+const DEFAULT_FISCAL_CALENDAR = { yearEndMonth: 12, yearLabel: 'end' };
+
+// Large filers rarely publish a 10-Q or 10-K sooner than this after quarter end
+const EARLIEST_FILING_DAYS = 25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fiscal calendar for a company
+ * @param {string} ticker - Stock ticker
+ * @returns {{yearEndMonth: number, yearLabel: string}} yearLabel is "end" or "start"
+ */
+function getFiscalCalendar(ticker) {
+  const symbol = getSymbol(ticker);
+  if (!symbol || !symbol.fiscalYearEnd) {
+    return { ...DEFAULT_FISCAL_CALENDAR };
+  }
+  return {
+    yearEndMonth: symbol.fiscalYearEnd,
+    yearLabel: symbol.fiscalYearLabel || 'end'
+  };
+}
+
+/**
+ * Fiscal quarter a date falls in
+ * @param {Date} date - Calendar date (UTC)
+ * @param {Object} calendar - Output of getFiscalCalendar
+ * @returns {{year: number, quarter: number}}
+ */
+function fiscalQuarterForDate(date, calendar) {
+  const month = date.getUTCMonth() + 1;
+  const startMonth = (calendar.yearEndMonth % 12) + 1;
+  const monthsIntoYear = (month - startMonth + 12) % 12;
+
+  // The fiscal year ends in the calendar year of its end month
+  let year = month > calendar.yearEndMonth ? date.getUTCFullYear() + 1 : date.getUTCFullYear();
+  if (calendar.yearLabel === 'start' && calendar.yearEndMonth !== 12) {
+    year--;
+  }
+
+  return { year, quarter: Math.floor(monthsIntoYear / 3) + 1 };
+}
+
+/**
+ * Calendar month a fiscal quarter ends in
+ * @param {{year: number, quarter: number}} period - Fiscal quarter
+ * @param {Object} calendar - Output of getFiscalCalendar
+ * @returns {string} "YYYY-MM", e.g. "2025-09" for Apple's Q4 FY2025
+ */
+function fiscalQuarterEndMonth({ year, quarter }, calendar) {
+  // The year's end month falls in the labelled year, or the one after for "start" labels
+  const endYear = calendar.yearLabel === 'start' && calendar.yearEndMonth !== 12 ? year + 1 : year;
+  const monthIndex = endYear * 12 + (calendar.yearEndMonth - 1) - 3 * (4 - quarter);
+  return `${Math.floor(monthIndex / 12)}-${String((monthIndex % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Fiscal quarter covered by an earnings report released on a date
+ * (the quarter before the one the date falls in; reports come out within
+ * three months of quarter end)
+ * @param {Date} date - Report date (UTC)
+ * @param {Object} calendar - Output of getFiscalCalendar
+ * @returns {{year: number, quarter: number}}
+ */
+function fiscalQuarterReportedOn(date, calendar) {
+  const quarterEarlier = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 3, 1));
+  return fiscalQuarterForDate(quarterEarlier, calendar);
+}
+
+/**
+ * Newest fiscal quarter that is likely to have been filed by a date
+ * (the latest quarter that ended at least EARLIEST_FILING_DAYS earlier)
+ * @param {Object} calendar - Output of getFiscalCalendar
+ * @param {Date} [now] - Reference date
+ * @returns {{year: number, quarter: number}}
+ */
+function latestFiledQuarter(calendar, now = new Date()) {
+  return fiscalQuarterReportedOn(new Date(now.getTime() - EARLIEST_FILING_DAYS * DAY_MS), calendar);
+}
+
+module.exports = {
+  getFiscalCalendar,
+  fiscalQuarterForDate,
+  fiscalQuarterEndMonth,
+  fiscalQuarterReportedOn,
+  latestFiledQuarter
+};
@@ -0,0 +1,309 @@
+/**
+ * Shared Module: Forward Guidance
+ *
+ * Rule-based extraction of forward-looking statements from a split
+ * earnings call transcript. Management sentences that look ahead ("we
+ * expect", "our outlook", "for the full year", "next quarter") are kept,
+ * and the figures in them are parsed into structured guidance:
+ *
+ * - Figures are ranges ("between 8 and 10 percent", "56 to 59 billion
+ *   dollars"), single values with a unit ("approximately 37 percent",
+ *   "$1.25") or digit phrases ("mid to high single digits")
+ * - A bare number without a unit is never a figure, so years and quarter
+ *   numbers are skipped
+ * - Two numbers only form a range when their units agree and the first is
+ *   not above the second ("30% and 12 billion" is two figures)
+ * - Each figure gets the metric named right after it ("high single digit
+ *   revenue growth", "30% gross margin"), otherwise the one named closest
+ *   before it (revenue, gross margin, operating expenses, ...), whether it
+ *   is a growth rate or a level, and the period it covers (next quarter or
+ *   full year) when the sentence says
+ * - A growth rate with a falling word ("decline", "down") is negative
+ */
+
+const { classifySpeaker, MANAGEMENT_TYPES } = require('./transcripts');
+
+// Phrases that make a sentence forward-looking
+const FORWARD_PATTERN = /\b(?:we|i) (?:now |still |continue to )?(?:expect|anticipate|project|forecast|plan|intend|target|guide)\b|\b(?:outlook|guidance)\b|\bnext (?:quarter|year|fiscal)\b|\bfull[- ]year\b|\bgoing forward\b|\bremainder of the year\b/i;
+
+// Metrics a figure can belong to; earlier entries win when two match at the same place
+const METRICS = [
+  { id: 'revenue', label: 'Revenue', pattern: /\b(?:revenues?|net sales|sales|top line)\b/gi },
+  { id: 'gross-margin', label: 'Gross Margin', pattern: /\bgross margins?\b/gi },
+  { id: 'operating-margin', label: 'Operating Margin', pattern: /\boperating margins?\b/gi },
+  { id: 'operating-income', label: 'Operating Income', pattern: /\boperating (?:income|profit)\b/gi },
+  { id: 'operating-expenses', label: 'Operating Expenses', pattern: /\b(?:operating expenses|opex|total expenses|expenses)\b/gi },
+  { id: 'eps', label: 'EPS', pattern: /\b(?:eps|earnings per share)\b/gi },
+  { id: 'capex', label: 'Capex', pattern: /\b(?:capex|capital expenditures?|capital spending)\b/gi },
+  { id: 'free-cash-flow', label: 'Free Cash Flow', pattern: /\bfree cash flow\b/gi },
+  { id: 'tax-rate', label: 'Tax Rate', pattern: /\btax rate\b/gi }
+];
+
+const PERIODS = [
+  { id: 'next-quarter', label: 'Next Quarter', pattern: /\b(?:next quarter|(?:first|second|third|fourth) quarter|this quarter|q[1-4])\b/i },
+  { id: 'full-year', label: 'Full Year', pattern: /\b(?:full[- ]year|fiscal (?:year )?\d{4}|for the year|next year|remainder of the year)\b/i }
+];
+
+const UNITS = {
+  '%': 'percent',
+  percent: 'percent',
+  'percentage points': 'percentage points',
+  'basis points': 'basis points',
+  bps: 'basis points',
+  billion: 'billion',
+  million: 'million',
+  thousand: 'thousand',
+  dollars: 'dollars'
+};
+
+const NUMBER = '(\\$)?(\\d+(?:,\\d{3})*(?:\\.\\d+)?)';
+const UNIT = '(%|percent(?:age points)?|basis points|bps|billion|million|thousand|dollars)';
+const APPROXIMATE = '(?:(approximately|about|around|roughly|nearly|close to)\\s+)?';
+
+// "between 8 and 10 percent", "in the range of 56 to 59 billion dollars", "7% to 9%", "$1.25 to $1.35"
+const RANGE_PATTERN = new RegExp(`${APPROXIMATE}(?<![\\w.])${NUMBER}\\s*(?:${UNIT}\\s*)?(?:and|to|-|–)\\s*${NUMBER}(?:\\s*${UNIT})?`, 'gi');
+// "approximately 37 percent", "$1.25", "91 billion"
+const VALUE_PATTERN = new RegExp(`${APPROXIMATE}(?<![\\w.])${NUMBER}(?:\\s*${UNIT})?`, 'gi');
+// "mid to high single digits", "low double-digit"
+const DIGITS_PATTERN = /\b(low|mid|high)(?:[- ]to[- ](low|mid|high))?[- ](single|double)[- ]digits?\b/gi;
+
+// Percent ranges the digit phrases stand for
+const DIGIT_RANGES = {
+  single: { low: [1, 3], mid: [4, 6], high: [7, 9] },
+  double: { low: [10, 30], mid: [40, 60], high: [70, 90] }
+};
+
+// Shorter sentences are signposts ("Turning to our outlook."), not guidance
+const MIN_SENTENCE_WORDS = 5;
+
+// Words between a metric and its figure that make the figure a growth rate
+const GROWTH_PATTERN = /\b(?:grow|grows|growth|increase|increases|decline|declines|decrease|decreases|up|down)\b/i;
+// Growth words that make the rate negative
+const DECLINE_PATTERN = /\b(?:decline|declines|decrease|decreases|down)\b/i;
+
+// Words a metric named after its figure may be from it ("12 billion dollars of revenue")
+const MAX_WORDS_TO_METRIC_AFTER = 3;
+
+function parseNumber(text) {
+  return parseFloat(text.replace(/,/g, ''));
+}
+
+function normalizeUnit(unit, hasDollarSign) {
+  if (unit) {
+    return UNITS[unit.toLowerCase()] || unit.toLowerCase();
+  }
+  return hasDollarSign ? 'dollars' : null;
+}
+
+/**
+ * Splits a statement into sentences
+ * Decimal points stay inside a sentence.
+ */
+function splitSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+(?=[A-Z"“])/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Whether a sentence talks about the future
+ */
+function isForwardLooking(sentence) {
+  return FORWARD_PATTERN.test(sentence);
+}
+
+/**
+ * Figures in a sentence, in order
+ * @param {string} sentence
+ * @returns {Array<{start: number, end: number, text: string, low: number, high: number, unit: string|null, approximate: boolean}>}
+ */
+function parseFigures(sentence) {
+  const figures = [];
+  const overlaps = (start, end) => figures.some(figure => start < figure.end && end > figure.start);
+
+  const rangePattern = new RegExp(RANGE_PATTERN.source, RANGE_PATTERN.flags);
+  let match;
+  while ((match = rangePattern.exec(sentence)) !== null) {
+    const [text, approximate, lowDollar, low, firstUnit, highDollar, high, unit] = match;
+    // "2025 and 2026" has no unit and is not a range of guidance
+    if (!unit && !firstUnit && !lowDollar && !highDollar) continue;
+
+    // "30% and 12 billion" or "10 to 8 percent" are two figures; look for
+    // a range again from the second number
+    const lowUnit = normalizeUnit(firstUnit, Boolean(lowDollar));
+    const highUnit = normalizeUnit(unit, Boolean(highDollar));
+    if ((lowUnit && highUnit && lowUnit !== highUnit) || parseNumber(low) > parseNumber(high)) {
+      rangePattern.lastIndex = match.index + 1;
+      continue;
+    }
+
+    figures.push({
+      start: match.index,
+      end: match.index + text.length,
+      text,
+      low: parseNumber(low),
+      high: parseNumber(high),
+      unit: normalizeUnit(unit || firstUnit, /\$/.test(text)),
+      approximate: Boolean(approximate)
+    });
+  }
+
+  for (const match of sentence.matchAll(DIGITS_PATTERN)) {
+    const [text, from, to, digits] = match;
+    if (overlaps(match.index, match.index + text.length)) continue;
+    figures.push({
+      start: match.index,
+      end: match.index + text.length,
+      text,
+      low: DIGIT_RANGES[digits.toLowerCase()][from.toLowerCase()][0],
+      high: DIGIT_RANGES[digits.toLowerCase()][(to || from).toLowerCase()][1],
+      unit: 'percent',
+      approximate: true
+    });
+  }
+
+  for (const match of sentence.matchAll(VALUE_PATTERN)) {
+    const [text, approximate, dollarSign, value, unit] = match;
+    // A bare number (a year, a quarter, a count) is not guidance
+    if ((!unit && !dollarSign) || overlaps(match.index, match.index + text.length)) continue;
+    figures.push({
+      start: match.index,
+      end: match.index + text.length,
+      text,
+      low: parseNumber(value),
+      high: parseNumber(value),
+      unit: normalizeUnit(unit, Boolean(dollarSign)),
+      approximate: Boolean(approximate)
+    });
+  }
+
+  return figures.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Metric named closest before a position in the sentence
+ * @returns {{id: string, label: string, end: number}|null}
+ */
+function findMetricBefore(sentence, position) {
+  let closest = null;
+
+  for (const metric of METRICS) {
+    for (const match of sentence.slice(0, position).matchAll(metric.pattern)) {
+      const end = match.index + match[0].length;
+      if (!closest || end > closest.end) {
+        closest = { id: metric.id, label: metric.label, end };
+      }
+    }
+  }
+  return closest;
+}
+
+/**
+ * Metric named right after a figure, within a few words of the same clause
+ * @returns {{id: string, label: string, start: number, end: number}|null}
+ */
+function findMetricAfter(sentence, position) {
+  const clause = sentence.slice(position).split(/[,;]/)[0];
+  let closest = null;
+
+  for (const metric of METRICS) {
+    for (const match of clause.matchAll(metric.pattern)) {
+      const wordsBetween = clause.slice(0, match.index).trim().split(/\s+/).filter(Boolean).length;
+      if (wordsBetween <= MAX_WORDS_TO_METRIC_AFTER && (!closest || match.index < closest.start)) {
+        closest = { id: metric.id, label: metric.label, start: match.index, end: match.index + match[0].length };
+      }
+    }
+  }
+  return closest ? { ...closest, start: position + closest.start, end: position + closest.end } : null;
+}
+
+/**
+ * Period a figure covers: the period named in the rest of its clause,
+ * otherwise the first period the sentence names
+ */
+function findPeriod(sentence, figure) {
+  const clause = sentence.slice(figure.end).split(/[,;]/)[0];
+  const period = PERIODS.find(p => p.pattern.test(clause)) || PERIODS.find(p => p.pattern.test(sentence));
+  return period ? { id: period.id, label: period.label } : null;
+}
+
+/**
+ * Extracts forward guidance from a transcript
+ * @param {Object} transcript - Provider transcript (transcript_split, or transcript text)
+ * @returns {{statements: Array, figures: Array}}
+ *   statements: forward-looking management sentences { text, speaker, role, statementIndex, period }
+ *   figures: { metric, metricLabel, measure ('growth'|'level'), direction ('up'|'down'|null), period,
+ *              periodLabel, low, high, midpoint, unit, approximate, text, sentence, speaker, statementIndex }
+ *   A falling growth rate is negative: "decline 2-3%" is low -3, high -2.
+ *   An unsplit transcript is read as one management statement.
+ */
+function extractGuidance(transcript) {
+  const statements = Array.isArray(transcript.transcript_split) && transcript.transcript_split.length > 0
+    ? transcript.transcript_split
+    : [{ role: 'Executive', text: transcript.transcript || '' }];
+
+  const sentences = [];
+  const figures = [];
+
+  statements.forEach((statement, statementIndex) => {
+    if (!MANAGEMENT_TYPES.includes(classifySpeaker(statement))) return;
+
+    for (const sentence of splitSentences(statement.text)) {
+      if (sentence.split(/\s+/).length < MIN_SENTENCE_WORDS || !isForwardLooking(sentence)) continue;
+
+      const sentencePeriod = PERIODS.find(p => p.pattern.test(sentence));
+      sentences.push({
+        text: sentence,
+        speaker: statement.name || null,
+        role: statement.role || null,
+        statementIndex,
+        period: sentencePeriod ? sentencePeriod.id : null
+      });
+
+      for (const figure of parseFigures(sentence)) {
+        const after = findMetricAfter(sentence, figure.end);
+        const metric = after || findMetricBefore(sentence, figure.start);
+        const period = findPeriod(sentence, figure);
+        // Words tying the figure to its metric decide growth and direction:
+        // "revenue to decline 2-3%" before it, "5% revenue growth" after it
+        const between = after
+          ? sentence.slice(figure.end).split(/[,;]/)[0]
+          : sentence.slice(metric ? metric.end : 0, figure.start);
+
+        const growth = figure.unit === 'percent' && GROWTH_PATTERN.test(between);
+        const direction = growth ? (DECLINE_PATTERN.test(between) ? 'down' : 'up') : null;
+        const [low, high] = direction === 'down' ? [-figure.high, -figure.low] : [figure.low, figure.high];
+
+        figures.push({
+          metric: metric ? metric.id : null,
+          metricLabel: metric ? metric.label : null,
+          measure: growth ? 'growth' : 'level',
+          direction,
+          period: period ? period.id : null,
+          periodLabel: period ? period.label : null,
+          low,
+          high,
+          midpoint: parseFloat(((low + high) / 2).toFixed(4)),
+          unit: figure.unit,
+          approximate: figure.approximate,
+          text: figure.text.trim(),
+          sentence,
+          speaker: statement.name || null,
+          statementIndex
+        });
+      }
+    }
+  });
+
+  return { statements: sentences, figures };
+}
+
+module.exports = {
+  METRICS,
+  PERIODS,
+  splitSentences,
+  isForwardLooking,
+  parseFigures,
+  extractGuidance
+};
@@ -0,0 +1,189 @@
+/**
+ * Shared Module: Price History Windows
+ *
+ * Valid history ranges and intervals (Yahoo Finance notation), price
+ * bases, and the query parsing used by every endpoint that reads price
+ * history.
+ */
+
+const DEFAULT_RANGE = '1mo';
+
+// Price series statistics can be computed on:
+// - adjusted: close adjusted for splits and dividends (default)
+// - close: raw closing price as traded
+const PRICE_BASES = ['adjusted', 'close'];
+const DEFAULT_PRICE_BASIS = 'adjusted';
+
+// Interval used when a request gives a range but no interval
+const DEFAULT_INTERVALS = {
+  '1d': '5m',
+  '5d': '30m',
+  '1mo': '1d',
+  '3mo': '1d',
+  '6mo': '1d',
+  'ytd': '1d',
+  '1y': '1d',
+  '2y': '1wk',
+  '5y': '1wk',
+  '10y': '1mo',
+  'max': '1mo'
+};
+
+const HISTORY_RANGES = Object.keys(DEFAULT_INTERVALS);
+
+// Longest range each interval supports (Yahoo only keeps recent intraday bars)
+const INTERVAL_MAX_RANGE = {
+  '1m': '5d',
+  '5m': '1mo',
+  '15m': '1mo',
+  '30m': '1mo',
+  '60m': '2y',
+  '1d': 'max',
+  '1wk': 'max',
+  '1mo': 'max'
+};
+
+const HISTORY_INTERVALS = Object.keys(INTERVAL_MAX_RANGE);
+
+// Approximate trading days each range spans, for sizing warm-up fetches
+const RANGE_TRADING_DAYS = {
+  '1d': 1,
+  '5d': 5,
+  '1mo': 21,
+  '3mo': 63,
+  '6mo': 126,
+  'ytd': 252,
+  '1y': 252,
+  '2y': 504,
+  '5y': 1260,
+  '10y': 2520,
+  'max': Infinity
+};
+
+// Bars per trading day for each interval
+const BARS_PER_DAY = {
+  '1m': 390,
+  '5m': 78,
+  '15m': 26,
+  '30m': 13,
+  '60m': 7,
+  '1d': 1,
+  '1wk': 1 / 5,
+  '1mo': 1 / 21
+};
+
+/**
+ * Whether an interval produces intraday bars (timestamps rather than dates)
+ * @param {string} interval - Interval in Yahoo notation
+ * @returns {boolean}
+ */
+function isIntraday(interval) {
+  return /m$/.test(interval) && interval !== '1mo';
+}
+
+/**
+ * Resolves the price basis for a request from its query string
+ * @param {Object} query - Request query ({ basis })
+ * @returns {{basis: string, error: string|null}}
+ */
+function resolvePriceBasis(query) {
+  const basis = String(query.basis || DEFAULT_PRICE_BASIS).toLowerCase();
+
+  if (!PRICE_BASES.includes(basis)) {
+    return { basis, error: `Invalid basis "${basis}". Expected one of: ${PRICE_BASES.join(', ')}` };
+  }
+  return { basis, error: null };
+}
+
+/**
+ * Picks each bar's price on the requested basis
+ * Falls back to the raw close when any bar lacks an adjusted close
+ * (e.g. intraday bars), so a series never mixes bases.
+ * @param {Array} bars - OHLCV bars with close and adjClose
+ * @param {string} basis - adjusted or close
+ * @returns {{basis: string, prices: number[]}} Basis actually used and one price per bar
+ */
+function selectPrices(bars, basis) {
+  const hasAdjusted = bars.every(bar => typeof bar.adjClose === 'number');
+  const usedBasis = basis === 'adjusted' && hasAdjusted ? 'adjusted' : 'close';
+
+  return {
+    basis: usedBasis,
+    prices: bars.map(bar => (usedBasis === 'adjusted' ? bar.adjClose : bar.close))
+  };
+}
+
+/**
+ * Basis every one of several series can use, so series compared with one
+ * another never mix adjusted and raw closes
+ * @param {Array<Array>} barSets - Bars of each series
+ * @param {string} basis - Requested basis (adjusted or close)
+ * @returns {string} The requested basis, or close when any series lacks adjusted closes
+ */
+function sharedPriceBasis(barSets, basis) {
+  return barSets.every(bars => selectPrices(bars, basis).basis === basis) ? basis : 'close';
+}
+
+/**
+ * Resolves the history window for a request from its query string
+ * @param {Object} query - Request query ({ range, interval })
+ * @returns {{range: string, interval: string, error: string|null}}
+ */
+function resolveHistoryWindow(query) {
+  const range = String(query.range || DEFAULT_RANGE).toLowerCase();
+
+  if (!HISTORY_RANGES.includes(range)) {
+    return { range, interval: null, error: `Invalid range "${range}". Expected one of: ${HISTORY_RANGES.join(', ')}` };
+  }
+
+  const interval = query.interval ? String(query.interval).toLowerCase() : DEFAULT_INTERVALS[range];
+
+  if (!HISTORY_INTERVALS.includes(interval)) {
+    return { range, interval, error: `Invalid interval "${interval}". Expected one of: ${HISTORY_INTERVALS.join(', ')}` };
+  }
+
+  const maxRange = INTERVAL_MAX_RANGE[interval];
+  if (HISTORY_RANGES.indexOf(range) > HISTORY_RANGES.indexOf(maxRange)) {
+    return { range, interval, error: `Interval "${interval}" is only available for ranges up to ${maxRange}` };
+  }
+
+  return { range, interval, error: null };
+}
+
+/**
+ * Smallest longer range that holds a number of bars before a window
+ * Used to fetch warm-up history for indicators. A year-to-date window is
+ * treated as a year.
+ * @param {string} range - Requested range
+ * @param {string} interval - Requested interval
+ * @param {number} bars - Bars needed before the window
+ * @returns {string|null} Range to fetch, or null when none is needed or possible
+ */
+function resolveWarmupRange(range, interval, bars) {
+  if (bars <= 0 || range === 'max') {
+    return null;
+  }
+
+  const windowDays = RANGE_TRADING_DAYS[range];
+  const maxIndex = HISTORY_RANGES.indexOf(INTERVAL_MAX_RANGE[interval]);
+  const longer = HISTORY_RANGES.filter((r, index) =>
+    r !== 'ytd' && index <= maxIndex && RANGE_TRADING_DAYS[r] > windowDays
+  );
+
+  return longer.find(r => (RANGE_TRADING_DAYS[r] - windowDays) * BARS_PER_DAY[interval] >= bars)
+    || longer[longer.length - 1]
+    || null;
+}
+
+module.exports = {
+  DEFAULT_RANGE,
+  HISTORY_RANGES,
+  HISTORY_INTERVALS,
+  PRICE_BASES,
+  isIntraday,
+  resolveHistoryWindow,
+  resolvePriceBasis,
+  resolveWarmupRange,
+  selectPrices,
+  sharedPriceBasis
+};
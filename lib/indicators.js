@@ -0,0 +1,325 @@
+/**
+ * Shared Module: Technical Indicators
+ *
+ * Indicator math over price history. Every series function returns an
+ * array aligned with its input, with null until enough bars exist to
+ * compute a value (e.g. the first 19 bars of a 20-period SMA). Callers
+ * pass warm-up bars from before the window (see warmupBars) so values
+ * start at the window's first bar, and computeIndicators trims them off.
+ *
+ * Supported indicators (ids accepted by /api/history?indicators=):
+ * - smaN, emaN: Simple / exponential moving average over N bars (default 20)
+ * - rsiN: Relative Strength Index with Wilder smoothing (default 14)
+ * - macd: MACD line (EMA12 - EMA26), 9-period signal line and histogram
+ * - bollingerN: Bollinger Bands, N-period SMA +/- 2 standard deviations (default 20)
+ * - atrN: Average True Range with Wilder smoothing (default 14)
+ * - obv: On-balance volume
+ */
+
+const DEFAULT_PERIODS = {
+  sma: 20,
+  ema: 20,
+  rsi: 14,
+  bollinger: 20,
+  atr: 14
+};
+
+const INDICATOR_PATTERN = /^(sma|ema|rsi|bollinger|atr|macd|obv)(\d+)?$/;
+const MIN_PERIOD = 2;
+const MAX_PERIOD = 200;
+const MAX_INDICATORS = 10;
+
+// MACD periods (fast EMA, slow EMA, signal line EMA)
+const MACD_PERIODS = { fast: 12, slow: 26, signal: 9 };
+
+/**
+ * Rounds a value for output, keeping nulls
+ */
+function round(value, decimals = 4) {
+  return value === null ? null : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Simple moving average
+ * @param {number[]} values - Input series
+ * @param {number} period - Window length
+ * @returns {Array<number|null>}
+ */
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) {
+      sum -= values[i - period];
+    }
+    if (i >= period - 1) {
+      result[i] = sum / period;
+    }
+  }
+  return result;
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of the first `period` values
+ * Leading nulls in the input (e.g. from another indicator) are skipped.
+ * @param {Array<number|null>} values - Input series
+ * @param {number} period - Window length
+ * @returns {Array<number|null>}
+ */
+function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex(value => value !== null);
+  if (start === -1 || values.length - start < period) {
+    return result;
+  }
+
+  const multiplier = 2 / (period + 1);
+  let previous = values.slice(start, start + period).reduce((sum, v) => sum + v, 0) / period;
+  result[start + period - 1] = previous;
+
+  for (let i = start + period; i < values.length; i++) {
+    previous = (values[i] - previous) * multiplier + previous;
+    result[i] = previous;
+  }
+  return result;
+}
+
+/**
+ * Relative Strength Index (Wilder)
+ * @param {number[]} closes - Closing prices
+ * @param {number} period - Lookback (typically 14)
+ * @returns {Array<number|null>} Values from 0 to 100
+ */
+function rsi(closes, period) {
+  const result = new Array(closes.length).fill(null);
+  if (closes.length <= period) {
+    return result;
+  }
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    avgGain += Math.max(change, 0);
+    avgLoss += Math.max(-change, 0);
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+  result[period] = toRsi();
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRsi();
+  }
+  return result;
+}
+
+/**
+ * Moving Average Convergence Divergence
+ * @param {number[]} closes - Closing prices
+ * @param {number} [fast=12] - Fast EMA period
+ * @param {number} [slow=26] - Slow EMA period
+ * @param {number} [signalPeriod=9] - Signal line EMA period
+ * @returns {{macd: Array, signal: Array, histogram: Array}}
+ */
+function macd(closes, fast = MACD_PERIODS.fast, slow = MACD_PERIODS.slow, signalPeriod = MACD_PERIODS.signal) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const macdLine = closes.map((_, i) =>
+    fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null
+  );
+  const signal = ema(macdLine, signalPeriod);
+  const histogram = macdLine.map((value, i) =>
+    value !== null && signal[i] !== null ? value - signal[i] : null
+  );
+
+  return { macd: macdLine, signal, histogram };
+}
+
+/**
+ * Bollinger Bands (population standard deviation)
+ * @param {number[]} closes - Closing prices
+ * @param {number} period - SMA period (typically 20)
+ * @param {number} [multiplier=2] - Band width in standard deviations
+ * @returns {{upper: Array, middle: Array, lower: Array}}
+ */
+function bollinger(closes, period, multiplier = 2) {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+
+  for (let i = period - 1; i < closes.length; i++) {
+    const window = closes.slice(i - period + 1, i + 1);
+    const variance = window.reduce((sum, v) => sum + Math.pow(v - middle[i], 2), 0) / period;
+    const deviation = Math.sqrt(variance);
+    upper[i] = middle[i] + multiplier * deviation;
+    lower[i] = middle[i] - multiplier * deviation;
+  }
+  return { upper, middle, lower };
+}
+
+/**
+ * Average True Range (Wilder)
+ * Bars missing a high or low fall back to their close.
+ * @param {Array} bars - Bars with high, low and close
+ * @param {number} period - Lookback (typically 14)
+ * @returns {Array<number|null>}
+ */
+function atr(bars, period) {
+  const result = new Array(bars.length).fill(null);
+
+  const trueRanges = bars.map((bar, i) => {
+    const high = bar.high ?? bar.close;
+    const low = bar.low ?? bar.close;
+    if (i === 0) {
+      return high - low;
+    }
+    const previousClose = bars[i - 1].close;
+    return Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+  });
+
+  if (bars.length < period) {
+    return result;
+  }
+
+  let previous = trueRanges.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+  result[period - 1] = previous;
+
+  for (let i = period; i < bars.length; i++) {
+    previous = (previous * (period - 1) + trueRanges[i]) / period;
+    result[i] = previous;
+  }
+  return result;
+}
+
+/**
+ * On-balance volume, starting from 0 at the first bar
+ * @param {Array} bars - Bars with close and volume
+ * @returns {number[]}
+ */
+function obv(bars) {
+  let total = 0;
+  return bars.map((bar, i) => {
+    if (i > 0) {
+      const change = bar.close - bars[i - 1].close;
+      if (change > 0) total += bar.volume || 0;
+      if (change < 0) total -= bar.volume || 0;
+    }
+    return total;
+  });
+}
+
+/**
+ * Parses an indicator list such as "sma20,ema50,rsi14,macd,bollinger"
+ * @param {string} param - Comma-separated indicator ids
+ * @returns {{specs: Array<{id: string, type: string, period: number|null}>, error: string|null}}
+ */
+function parseIndicatorList(param) {
+  const ids = [...new Set(
+    String(param || '').split(',').map(id => id.trim().toLowerCase()).filter(Boolean)
+  )];
+
+  if (ids.length > MAX_INDICATORS) {
+    return { specs: [], error: `Too many indicators (maximum ${MAX_INDICATORS})` };
+  }
+
+  const specs = [];
+  for (const id of ids) {
+    const match = id.match(INDICATOR_PATTERN);
+    if (!match) {
+      return { specs: [], error: `Unknown indicator "${id}". Expected sma, ema, rsi, macd, bollinger, atr or obv (e.g. sma20)` };
+    }
+
+    const [, type, periodText] = match;
+    if (periodText && (type === 'macd' || type === 'obv')) {
+      return { specs: [], error: `Indicator "${type}" does not take a period` };
+    }
+
+    const period = periodText ? parseInt(periodText, 10) : (DEFAULT_PERIODS[type] || null);
+    if (period !== null && (period < MIN_PERIOD || period > MAX_PERIOD)) {
+      return { specs: [], error: `Indicator period must be between ${MIN_PERIOD} and ${MAX_PERIOD}` };
+    }
+
+    specs.push({ id, type, period });
+  }
+
+  return { specs, error: null };
+}
+
+/**
+ * Bars needed before a window for every indicator to have a value on its first bar
+ * OBV needs none: it starts from 0 at the window's first bar.
+ * @param {Array} specs - Output of parseIndicatorList
+ * @returns {number}
+ */
+function warmupBars(specs) {
+  return specs.reduce((most, { type, period }) => {
+    if (type === 'macd') return Math.max(most, MACD_PERIODS.slow + MACD_PERIODS.signal);
+    if (type === 'obv') return most;
+    return Math.max(most, period);
+  }, 0);
+}
+
+/**
+ * Computes the requested indicators over a price history
+ * @param {Array} specs - Output of parseIndicatorList
+ * @param {Array} bars - OHLCV bars (used by ATR and OBV), warm-up bars first
+ * @param {number[]} prices - Price series on the chosen basis (used by the rest), aligned with bars
+ * @param {number} [warmup=0] - Leading warm-up bars, computed over and then trimmed off
+ * @returns {Object} Indicator id -> series (or object of series for macd and bollinger), aligned with the window
+ */
+function computeIndicators(specs, bars, prices, warmup = 0) {
+  const roundSeries = series => series.slice(warmup).map(value => round(value));
+  const result = {};
+
+  for (const { id, type, period } of specs) {
+    switch (type) {
+      case 'sma':
+        result[id] = roundSeries(sma(prices, period));
+        break;
+      case 'ema':
+        result[id] = roundSeries(ema(prices, period));
+        break;
+      case 'rsi':
+        result[id] = roundSeries(rsi(prices, period));
+        break;
+      case 'atr':
+        result[id] = roundSeries(atr(bars, period));
+        break;
+      case 'obv':
+        result[id] = obv(bars.slice(warmup));
+        break;
+      case 'macd': {
+        const { macd: line, signal, histogram } = macd(prices);
+        result[id] = { macd: roundSeries(line), signal: roundSeries(signal), histogram: roundSeries(histogram) };
+        break;
+      }
+      case 'bollinger': {
+        const { upper, middle, lower } = bollinger(prices, period);
+        result[id] = { upper: roundSeries(upper), middle: roundSeries(middle), lower: roundSeries(lower) };
+        break;
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  sma,
+  ema,
+  rsi,
+  macd,
+  bollinger,
+  atr,
+  obv,
+  parseIndicatorList,
+  warmupBars,
+  computeIndicators
+};
@@ -0,0 +1,174 @@
+/**
+ * Shared Module: Keyword Extraction
+ *
+ * Dependency-free n-gram counting for transcript text and a comparison of
+ * two texts' keywords. Terms are lowercase unigrams and bigrams; stopwords,
+ * conference-call filler and bare numbers are skipped, and a bigram never
+ * spans a skipped word. Frequencies are also expressed per thousand words
+ * so calls of different length compare fairly.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'even', 'few', 'for', 'from', 'further',
+  'get', 'give', 'given', 'go', 'going', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'him', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'let', 'like', 'made', 'make', 'many', 'may', 'me', 'more',
+  'most', 'much', 'my', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our',
+  'ours', 'out', 'over', 'own', 'really', 'same', 'see', 'seeing', 'she', 'should', 'so', 'some', 'still', 'such',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'think', 'this', 'those', 'through',
+  'to', 'too', 'under', 'until', 'up', 'us', 'very', 'was', 'we', 'well', 'were', 'what', 'when', 'where',
+  'whether', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+  // Conference-call filler
+  'call', 'chief', 'color', 'conference', 'great', 'line', 'next', 'officer', 'operator', 'please', 'question',
+  'questions', 'taking', 'thank', 'thanks', 'today', 'talk',
+  // Units and periods that accompany every figure
+  'approximately', 'billion', 'dollars', 'million', 'percent', 'quarter', 'quarters', 'year', 'years'
+]);
+
+const TOKEN_PATTERN = /[a-z0-9]+(?:[&'-][a-z0-9]+)*/g;
+
+// A keyword must reach this count in a text to be reported as new or dropped
+const MIN_CHANGE_COUNT = 2;
+
+// Rate ratio (per thousand words) at which a shared keyword gained or lost emphasis
+const EMPHASIS_RATIO = 1.5;
+
+function round(value, decimals = 2) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(decimals)) : null;
+}
+
+/**
+ * Lowercase word tokens, with possessive 's removed
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (String(text || '').toLowerCase().replace(/[’‘]/g, "'").match(TOKEN_PATTERN) || [])
+    .map(token => token.replace(/'s$/, ''));
+}
+
+/**
+ * Whether a token can be part of a keyword
+ */
+function isKeywordToken(token) {
+  return !STOPWORDS.has(token) && !/^\d/.test(token) && token.length > 1;
+}
+
+/**
+ * Counts unigram and bigram keywords across texts
+ * @param {string[]} texts - Statements or paragraphs (bigrams never span two texts)
+ * @returns {{totalWords: number, counts: Map<string, number>}}
+ */
+function countKeywords(texts) {
+  const counts = new Map();
+  let totalWords = 0;
+  const add = term => counts.set(term, (counts.get(term) || 0) + 1);
+
+  for (const text of texts) {
+    const tokens = tokenize(text);
+    totalWords += tokens.length;
+
+    tokens.forEach((token, index) => {
+      if (!isKeywordToken(token)) return;
+      add(token);
+
+      const next = tokens[index + 1];
+      if (next && isKeywordToken(next)) {
+        add(`${token} ${next}`);
+      }
+    });
+  }
+
+  return { totalWords, counts };
+}
+
+/**
+ * Rate per thousand words
+ */
+function perThousand(count, totalWords) {
+  return totalWords > 0 ? round((count / totalWords) * 1000) : null;
+}
+
+/**
+ * Most frequent keywords in a set of texts
+ * @param {string[]} texts
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Maximum number of terms
+ * @param {number} [options.minCount=2] - Minimum mentions
+ * @returns {Array<{term: string, count: number, perThousandWords: number}>} Most frequent first
+ */
+function topKeywords(texts, { limit = 20, minCount = 2 } = {}) {
+  const { totalWords, counts } = countKeywords(texts);
+
+  return Array.from(counts.entries())
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term, count]) => ({ term, count, perThousandWords: perThousand(count, totalWords) }));
+}
+
+/**
+ * Compares the keywords of an earlier and a later text
+ * Each list is sorted by the size of the change and capped at `limit`.
+ * @param {string[]} previousTexts - Earlier text (e.g. last quarter's call)
+ * @param {string[]} currentTexts - Later text
+ * @param {Object} [options]
+ * @param {number} [options.limit=15] - Maximum terms per list
+ * @returns {Object} { previousWords, currentWords, appeared, disappeared, gainedEmphasis, lostEmphasis }
+ *   Each term is { term, previousCount, currentCount, previousPerThousand, currentPerThousand }
+ */
+function compareKeywords(previousTexts, currentTexts, { limit = 15 } = {}) {
+  const previous = countKeywords(previousTexts);
+  const current = countKeywords(currentTexts);
+
+  const terms = new Set([...previous.counts.keys(), ...current.counts.keys()]);
+  const rows = Array.from(terms).map(term => {
+    const previousCount = previous.counts.get(term) || 0;
+    const currentCount = current.counts.get(term) || 0;
+    return {
+      term,
+      previousCount,
+      currentCount,
+      previousPerThousand: perThousand(previousCount, previous.totalWords),
+      currentPerThousand: perThousand(currentCount, current.totalWords)
+    };
+  });
+
+  const byCount = key => (a, b) => b[key] - a[key] || a.term.localeCompare(b.term);
+  const byRateChange = direction => (a, b) =>
+    direction * ((b.currentPerThousand - b.previousPerThousand) - (a.currentPerThousand - a.previousPerThousand))
+    || a.term.localeCompare(b.term);
+
+  const shared = rows.filter(row => row.previousCount > 0 && row.currentCount > 0
+    && Math.max(row.previousCount, row.currentCount) >= MIN_CHANGE_COUNT);
+
+  return {
+    previousWords: previous.totalWords,
+    currentWords: current.totalWords,
+    appeared: rows
+      .filter(row => row.previousCount === 0 && row.currentCount >= MIN_CHANGE_COUNT)
+      .sort(byCount('currentCount'))
+      .slice(0, limit),
+    disappeared: rows
+      .filter(row => row.currentCount === 0 && row.previousCount >= MIN_CHANGE_COUNT)
+      .sort(byCount('previousCount'))
+      .slice(0, limit),
+    gainedEmphasis: shared
+      .filter(row => row.currentPerThousand >= row.previousPerThousand * EMPHASIS_RATIO)
+      .sort(byRateChange(1))
+      .slice(0, limit),
+    lostEmphasis: shared
+      .filter(row => row.previousPerThousand >= row.currentPerThousand * EMPHASIS_RATIO)
+      .sort(byRateChange(-1))
+      .slice(0, limit)
+  };
+}
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  countKeywords,
+  topKeywords,
+  compareKeywords
+};
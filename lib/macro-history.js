@@ -0,0 +1,161 @@
+/**
+ * Shared Module: Macro History
+ *
+ * Loads the locally bundled archive of monthly macro readings
+ * (data/macro-history.json) and answers what a reading was on a past date.
+ * The market data provider only reports the latest reading, so anything
+ * that replays the past (the backtest) reads from here instead.
+ *
+ * A month's reading counts as known from PUBLISHED_DAY of the following
+ * month (BLS releases CPI and unemployment in the first half of the month),
+ * so a replay never sees a figure before it was published. A reading older
+ * than MAX_READING_AGE_MONTHS on the date asked counts as unavailable,
+ * which is what happens past the end of the archive.
+ *
+ * The archive is extended two ways: scripts/refresh-macro-history.js
+ * appends the months BLS published since, and withLatestReadings() adds
+ * the provider's latest reading for one request, which covers the most
+ * recent dates even when the bundled file is behind.
+ */
+
+const MACRO_HISTORY = require('../data/macro-history.json');
+
+const PUBLISHED_DAY = 15;
+const MAX_READING_AGE_MONTHS = 3;
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// Indicators in the archive, as named by /api/economics
+const MACRO_HISTORY_INDICATORS = Object.keys(MACRO_HISTORY);
+
+/**
+ * Date a monthly reading is treated as published ("YYYY-MM-DD")
+ * @param {string} period - Reading month, "YYYY-MM"
+ */
+function publishedDate(period) {
+  const [year, month] = period.split('-').map(Number);
+  const published = new Date(Date.UTC(year, month, PUBLISHED_DAY));
+  return published.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole months from one "YYYY-MM" period to another
+ */
+function monthsBetween(from, to) {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+/**
+ * Reading month of a provider period ("September 2025", "2025-09" or
+ * "2025-09-30"), as "YYYY-MM"
+ * @returns {string|null} Null for a period without a month (e.g. "2025")
+ */
+function parseReadingPeriod(period) {
+  const text = String(period || '').trim().toLowerCase();
+
+  const numeric = text.match(/^(\d{4})-(\d{2})(?:-\d{2})?$/);
+  if (numeric) {
+    return `${numeric[1]}-${numeric[2]}`;
+  }
+
+  const named = text.match(/^([a-z]+)\s+(\d{4})$/);
+  const month = named ? MONTH_NAMES.indexOf(named[1]) : -1;
+  return month === -1 ? null : `${named[2]}-${String(month + 1).padStart(2, '0')}`;
+}
+
+/**
+ * The archive with the provider's latest readings appended where they are
+ * newer than its last month
+ * @param {Object} latest - { [indicator]: { value, period } | null }, as provider.macro() returns
+ * @returns {Object} Archive to pass to economicDataAsOf and describeMacroHistory
+ */
+function withLatestReadings(latest) {
+  const archive = {};
+  for (const indicator of MACRO_HISTORY_INDICATORS) {
+    const series = MACRO_HISTORY[indicator];
+    const reading = latest[indicator];
+    const period = reading ? parseReadingPeriod(reading.period) : null;
+    const last = series.readings[series.readings.length - 1];
+
+    archive[indicator] = period && period > last.period && Number.isFinite(reading.value)
+      ? { ...series, latest: { period, value: reading.value } }
+      : series;
+  }
+  return archive;
+}
+
+/**
+ * Latest reading of an indicator published on or before a date
+ * @param {string} indicator - inflation or unemployment
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {Object} [archive] - Archive from withLatestReadings (default: the bundled one)
+ * @returns {{value: number, period: string, published: string}|null} Null before the archive
+ *   starts, when the reading is stale, or for an indicator the archive lacks
+ */
+function readingAsOf(indicator, date, archive = MACRO_HISTORY) {
+  const series = archive[indicator];
+  if (!series) {
+    return null;
+  }
+
+  let latest = null;
+  for (const reading of series.latest ? [...series.readings, series.latest] : series.readings) {
+    if (publishedDate(reading.period) > date) break;
+    latest = reading;
+  }
+
+  if (!latest || monthsBetween(latest.period, date.slice(0, 7)) > MAX_READING_AGE_MONTHS) {
+    return null;
+  }
+  return { value: latest.value, period: latest.period, published: publishedDate(latest.period) };
+}
+
+/**
+ * Macro indicators as known on a date, shaped like the /api/economics
+ * response so the recommendation model reads them the same way
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {Object} [archive] - Archive from withLatestReadings (default: the bundled one)
+ * @returns {Object} { asOf, indicators: { [indicator]: { value, period, available } } }
+ */
+function economicDataAsOf(date, archive = MACRO_HISTORY) {
+  const indicators = {};
+  for (const indicator of MACRO_HISTORY_INDICATORS) {
+    const reading = readingAsOf(indicator, date, archive);
+    indicators[indicator] = reading
+      ? { value: reading.value, period: reading.period, available: true }
+      : { value: null, available: false, note: 'No archived reading for this date' };
+  }
+  return { asOf: date, indicators };
+}
+
+/**
+ * First and last month archived for each indicator, and where it comes from
+ * @param {Object} [archive] - Archive from withLatestReadings (default: the bundled one)
+ * @returns {Array<{indicator: string, label: string, source: string, from: string, to: string,
+ *   appended: string|null}>} `appended` is the month of the provider's reading added after `to`
+ */
+function describeMacroHistory(archive = MACRO_HISTORY) {
+  return MACRO_HISTORY_INDICATORS.map(indicator => {
+    const { label, source, readings, latest } = archive[indicator];
+    return {
+      indicator,
+      label,
+      source,
+      from: readings[0].period,
+      to: readings[readings.length - 1].period,
+      appended: latest ? latest.period : null
+    };
+  });
+}
+
+module.exports = {
+  MACRO_HISTORY_INDICATORS,
+  parseReadingPeriod,
+  withLatestReadings,
+  readingAsOf,
+  economicDataAsOf,
+  describeMacroHistory
+};
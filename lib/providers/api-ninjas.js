@@ -0,0 +1,251 @@
+/**
+ * Market Data Provider: API Ninjas
+ *
+ * Quotes, earnings filings, earnings report dates and estimates, earnings
+ * call transcripts and macroeconomic indicators from API Ninjas. Vendor
+ * response shapes are normalized here so handlers never see them.
+ * Sentiment is scored locally (lib/sentiment.js), not by the vendor.
+ */
+
+const { API_NINJAS_HOST, UpstreamError, fetchFromApiNinjas } = require('../upstream');
+
+// Transcripts are large payloads, so allow a longer timeout than the default
+const TRANSCRIPT_REQUEST_OPTIONS = { timeout: 30000 };
+
+// Economic endpoints are small and non-critical, so fail fast
+const MACRO_REQUEST_OPTIONS = { timeout: 5000 };
+
+/**
+ * Parses transcript_split, which API Ninjas sometimes returns as a JSON string
+ */
+function parseTranscriptSplit(transcriptSplit) {
+  if (typeof transcriptSplit !== 'string') {
+    return Array.isArray(transcriptSplit) ? transcriptSplit : null;
+  }
+
+  try {
+    const parsed = JSON.parse(transcriptSplit);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    console.error('Failed to parse transcript_split:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Number or null (the earnings calendar leaves unreported figures empty)
+ */
+function numberOrNull(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Fetches a single record, treating an empty response as not found
+ * API Ninjas answers 200 with an empty object or array when it has no
+ * filing or transcript for the period asked.
+ */
+async function fetchRecord(path, apiKey, options) {
+  const data = await fetchFromApiNinjas(path, apiKey, options);
+  const isEmpty = !data || (Array.isArray(data) ? data.length === 0 : Object.keys(data).length === 0);
+  if (isEmpty) {
+    throw new UpstreamError(`No data found at ${API_NINJAS_HOST}${path}`, {
+      code: 'HTTP', statusCode: 404, hostname: API_NINJAS_HOST, path
+    });
+  }
+  return data;
+}
+
+/**
+ * Report timing relative to the trading session ("before_market",
+ * "pre-market", "BMO", "after_market", "AMC", ...)
+ * @returns {string|null} "before-open", "after-close" or null when not given
+ */
+function parseReportTiming(value) {
+  const text = String(value || '').toLowerCase();
+  if (/before|pre|bmo/.test(text)) {
+    return 'before-open';
+  }
+  if (/after|post|amc/.test(text)) {
+    return 'after-close';
+  }
+  return null;
+}
+
+/**
+ * Normalizers for each macro indicator's raw response
+ * Each returns { value, period, type? } or null when no usable reading exists
+ */
+const MACRO_PARSERS = {
+  inflation: {
+    path: '/v1/inflation',
+    parse(jsonData) {
+      // API Ninjas returns an array of inflation data
+      if (Array.isArray(jsonData) && jsonData.length > 0) {
+        const latest = jsonData[0];
+        // Try different possible field names
+        const rateValue = latest.yearly_rate_pct || latest.rate || latest.inflation_rate || latest.value;
+
+        if (rateValue !== undefined && rateValue !== null) {
+          return {
+            value: parseFloat(rateValue),
+            period: latest.period || latest.year || latest.date || 'Recent',
+            type: latest.type || 'CPI'
+          };
+        }
+      }
+      return null;
+    }
+  },
+
+  interestRate: {
+    path: '/v1/interestrate',
+    parse(jsonData) {
+      // Response has central_bank_rates array
+      if (jsonData.central_bank_rates && Array.isArray(jsonData.central_bank_rates)) {
+        // Find American Central Bank (Federal Reserve)
+        const usRate = jsonData.central_bank_rates.find(
+          bank => bank.central_bank === 'American Central Bank' ||
+                  bank.country === 'United_States'
+        );
+
+        if (usRate && usRate.rate_pct !== undefined) {
+          return {
+            value: parseFloat(usRate.rate_pct),
+            period: usRate.last_updated || 'Current'
+          };
+        }
+      }
+      return null;
+    }
+  },
+
+  mortgageRate: {
+    path: '/v1/mortgagerate',
+    parse(jsonData) {
+      // Response is array with week and data
+      if (Array.isArray(jsonData) && jsonData.length > 0) {
+        const latest = jsonData[0];
+
+        // Data is nested in data.frm_30 (30-year fixed rate mortgage)
+        if (latest.data && latest.data.frm_30) {
+          return {
+            value: parseFloat(latest.data.frm_30),
+            period: latest.data.week || 'Current',
+            type: '30-year fixed'
+          };
+        }
+      }
+      return null;
+    }
+  },
+
+  unemployment: {
+    path: '/v1/unemployment?country=united%20states',
+    parse(jsonData) {
+      // Returns array of historical data - get the LAST item (most recent)
+      if (Array.isArray(jsonData) && jsonData.length > 0) {
+        const latest = jsonData[jsonData.length - 1];
+        const rateValue = latest.unemployment_rate || latest.rate || latest.value;
+
+        if (rateValue !== undefined && rateValue !== null) {
+          return {
+            value: parseFloat(rateValue),
+            period: latest.year ? String(latest.year) : 'Current'
+          };
+        }
+      }
+      return null;
+    }
+  }
+};
+
+/**
+ * Creates the API Ninjas provider
+ * @param {string} apiKey - API Ninjas API key
+ * @returns {Object} Provider with quote, earnings, earningsCalendar, transcript and macro methods
+ */
+function createApiNinjasProvider(apiKey) {
+  return {
+    /**
+     * Latest quote for a ticker
+     * @returns {Promise<{ticker: string, price: number|null, exchange: string|null, updated: string|null}>}
+     */
+    async quote(ticker) {
+      const data = await fetchFromApiNinjas(`/v1/stockprice?ticker=${ticker}`, apiKey);
+
+      return {
+        ticker,
+        price: data.price || null,
+        exchange: data.exchange || null,
+        updated: data.updated ? new Date(data.updated * 1000).toISOString() : null
+      };
+    },
+
+    /**
+     * Earnings filing for a fiscal year and quarter (income statement,
+     * balance sheet, cash flow, company_info and filing_info)
+     */
+    async earnings(ticker, { year, quarter }) {
+      return fetchRecord(`/v1/earnings?ticker=${ticker}&year=${year}&quarter=${quarter}`, apiKey);
+    },
+
+    /**
+     * Past and scheduled earnings reports with consensus estimates and
+     * actuals (actuals are null until the company has reported) and whether
+     * the release comes before the open or after the close
+     * @returns {Promise<{ticker: string, reports: Array<{date: string, timing: string|null, epsEstimate: number|null, epsActual: number|null, revenueEstimate: number|null, revenueActual: number|null}>}>}
+     */
+    async earningsCalendar(ticker) {
+      const data = await fetchFromApiNinjas(`/v1/earningscalendar?ticker=${ticker}&show_upcoming=true`, apiKey);
+
+      const reports = (Array.isArray(data) ? data : [])
+        .filter(report => report.date)
+        .map(report => ({
+          date: String(report.date).slice(0, 10),
+          timing: parseReportTiming(report.earnings_timing || report.time),
+          epsEstimate: numberOrNull(report.estimated_eps),
+          epsActual: numberOrNull(report.actual_eps),
+          revenueEstimate: numberOrNull(report.estimated_revenue),
+          revenueActual: numberOrNull(report.actual_revenue)
+        }))
+        .sort((a, b) => b.date.localeCompare(a.date));
+
+      return { ticker, reports };
+    },
+
+    /**
+     * Earnings call transcript with transcript_split parsed into an array
+     * The latest call unless a fiscal year and quarter are given.
+     */
+    async transcript(ticker, { year, quarter } = {}) {
+      const period = year && quarter ? `&year=${year}&quarter=${quarter}` : '';
+      const data = await fetchRecord(`/v1/earningstranscript?ticker=${ticker}${period}`, apiKey, TRANSCRIPT_REQUEST_OPTIONS);
+
+      return {
+        ...data,
+        transcript_split: parseTranscriptSplit(data.transcript_split)
+      };
+    },
+
+    /**
+     * Latest reading of a macro indicator
+     * (inflation, interestRate, mortgageRate or unemployment)
+     * @returns {Promise<{value: number, period: string, type?: string}|null>}
+     */
+    async macro(indicator) {
+      const parser = MACRO_PARSERS[indicator];
+      if (!parser) {
+        throw new Error(`Unknown macro indicator: ${indicator}`);
+      }
+
+      const jsonData = await fetchFromApiNinjas(parser.path, apiKey, MACRO_REQUEST_OPTIONS);
+      console.log(`${indicator} raw response:`, JSON.stringify(jsonData));
+      return parser.parse(jsonData);
+    }
+  };
+}
+
+module.exports = {
+  createApiNinjasProvider
+};
@@ -0,0 +1,185 @@
+/**
+ * Market Data Provider: Offline Fixtures
+ *
+ * Serves every provider method from JSON files so the dashboard runs
+ * without network access or API keys (classrooms, demos, tests).
+ *
+ * Fixture layout (relative to FIXTURE_DIR, default ./fixtures):
+ * - history/<TICKER>.json      { ticker, currency, bars: [{ date, open, high, low, close, adjClose, volume }] }
+ * - earnings/<TICKER>.json     Array of earnings filings (API Ninjas shape)
+ * - calendar/<TICKER>.json     { ticker, reports: [{ date, epsEstimate, epsActual, revenueEstimate, revenueActual }] }, newest first
+ * - transcripts/<TICKER>.json  Array of earnings call transcripts, newest first
+ * - macro.json                 { inflation, interestRate, mortgageRate, unemployment }
+ *
+ * Quotes are the last close in the ticker's history fixture. History
+ * fixtures hold daily bars; weekly and monthly intervals are aggregated
+ * from them, and intraday intervals fall back to the daily bars of the
+ * range (reported as `interval: '1d'`). Missing fixtures fail with the
+ * same UpstreamError (HTTP 404) a live vendor would.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { UpstreamError } = require('../upstream');
+const { isIntraday } = require('../history');
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures');
+
+// Approximate trading days per Yahoo range
+const RANGE_DAYS = {
+  '1d': 1,
+  '5d': 5,
+  '1mo': 21,
+  '3mo': 63,
+  '6mo': 126,
+  '1y': 252,
+  '2y': 504,
+  '5y': 1260,
+  '10y': 2520
+};
+
+/**
+ * Aggregates daily bars into weekly or monthly bars
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {string} interval - 1wk or 1mo
+ * @returns {Array} Aggregated bars dated by their first trading day
+ */
+function aggregateBars(bars, interval) {
+  const periodKey = (date) => {
+    if (interval === '1mo') return date.slice(0, 7);
+
+    // Monday of the bar's week
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().split('T')[0];
+  };
+
+  const periods = new Map();
+  for (const bar of bars) {
+    const key = periodKey(bar.date);
+    const period = periods.get(key);
+
+    if (!period) {
+      periods.set(key, { ...bar });
+    } else {
+      period.high = Math.max(period.high, bar.high);
+      period.low = Math.min(period.low, bar.low);
+      period.close = bar.close;
+      period.adjClose = bar.adjClose;
+      period.volume += bar.volume;
+    }
+  }
+
+  return Array.from(periods.values());
+}
+
+/**
+ * Creates the fixture provider
+ * @param {string} [fixtureDir] - Directory holding the fixture files
+ * @returns {Object} Provider with quote, history, earnings, earningsCalendar, transcript and macro methods
+ */
+function createFixtureProvider(fixtureDir = DEFAULT_FIXTURE_DIR) {
+  const fileCache = new Map();
+
+  /**
+   * Reads and caches a fixture file; throws a 404 UpstreamError if it is missing
+   */
+  function readFixture(relativePath) {
+    if (fileCache.has(relativePath)) {
+      return fileCache.get(relativePath);
+    }
+
+    const filePath = path.join(fixtureDir, relativePath);
+    if (!fs.existsSync(filePath)) {
+      throw new UpstreamError(`No fixture found: ${relativePath}`, {
+        code: 'HTTP', statusCode: 404, hostname: 'fixtures', path: relativePath
+      });
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    fileCache.set(relativePath, data);
+    return data;
+  }
+
+  function notFound(message, relativePath) {
+    return new UpstreamError(message, {
+      code: 'HTTP', statusCode: 404, hostname: 'fixtures', path: relativePath
+    });
+  }
+
+  return {
+    async quote(ticker) {
+      const { bars } = readFixture(`history/${ticker}.json`);
+      const last = bars[bars.length - 1];
+
+      return {
+        ticker,
+        price: last.close,
+        exchange: null,
+        updated: new Date(`${last.date}T21:00:00Z`).toISOString()
+      };
+    },
+
+    async history(ticker, { range = '1mo', interval = '1d' } = {}) {
+      const relativePath = `history/${ticker}.json`;
+      const fixture = readFixture(relativePath);
+
+      // No intraday fixtures: serve the range's daily bars instead
+      if (isIntraday(interval)) {
+        interval = '1d';
+      }
+
+      let bars = fixture.bars;
+      if (range === 'ytd') {
+        const year = bars[bars.length - 1].date.slice(0, 4);
+        bars = bars.filter(bar => bar.date.startsWith(year));
+      } else if (RANGE_DAYS[range]) {
+        bars = bars.slice(-RANGE_DAYS[range]);
+      }
+
+      return {
+        ticker,
+        currency: fixture.currency || 'USD',
+        interval,
+        bars: interval === '1d' ? bars : aggregateBars(bars, interval)
+      };
+    },
+
+    async earnings(ticker, { year, quarter }) {
+      const relativePath = `earnings/${ticker}.json`;
+      const filing = readFixture(relativePath).find(f =>
+        f.company_info.fiscal_year === Number(year) && f.company_info.fiscal_quarter === Number(quarter)
+      );
+
+      if (!filing) {
+        throw notFound(`No earnings fixture for ${ticker} Q${quarter} ${year}`, relativePath);
+      }
+      return filing;
+    },
+
+    async earningsCalendar(ticker) {
+      return readFixture(`calendar/${ticker}.json`);
+    },
+
+    async transcript(ticker, { year, quarter } = {}) {
+      const relativePath = `transcripts/${ticker}.json`;
+      const transcripts = readFixture(relativePath);
+      const transcript = year && quarter
+        ? transcripts.find(t => t.year === Number(year) && t.quarter === Number(quarter))
+        : transcripts[0];
+
+      if (!transcript) {
+        throw notFound(`No transcript fixture for ${ticker}${year && quarter ? ` Q${quarter} ${year}` : ''}`, relativePath);
+      }
+      return transcript;
+    },
+
+    async macro(indicator) {
+      return readFixture('macro.json')[indicator] || null;
+    }
+  };
+}
+
+module.exports = {
+  createFixtureProvider
+};
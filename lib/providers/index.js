@@ -0,0 +1,81 @@
+/**
+ * Shared Module: Market Data Providers
+ *
+ * Handlers get their data from a provider instead of calling vendors
+ * directly, so vendors can be swapped without touching handler code.
+ *
+ * Provider interface (all methods async):
+ * - quote(ticker) -> { ticker, price, exchange, updated }
+ * - history(ticker, { range, interval }) -> { ticker, currency, interval, bars }
+ *   (`interval` is the interval the bars actually have)
+ * - earnings(ticker, { year, quarter }) -> earnings filing
+ * - earningsCalendar(ticker) -> { ticker, reports } (report dates and timing, estimates and
+ *   actuals, newest first; timing is "before-open", "after-close" or null)
+ * - transcript(ticker, { year, quarter }?) -> earnings call transcript (latest without a period)
+ * - macro(indicator) -> { value, period, type? } | null
+ * Failures reject with an UpstreamError.
+ *
+ * Environment Variables:
+ * - MARKET_DATA_PROVIDER: "live" (default) or "fixture"
+ * - FIXTURE_DIR: Fixture directory for the fixture provider (default ./fixtures)
+ * - API_KEY: API Ninjas authentication key (live provider only)
+ */
+
+const { createApiNinjasProvider } = require('./api-ninjas');
+const { createYahooProvider } = require('./yahoo');
+const { createFixtureProvider } = require('./fixture');
+
+const PROVIDERS = {
+  /**
+   * Current vendors: API Ninjas for everything except price history (Yahoo Finance)
+   */
+  live() {
+    const { history } = createYahooProvider();
+    const apiKey = process.env.API_KEY;
+
+    // Yahoo Finance needs no key, so price history keeps working without one
+    if (!apiKey) {
+      return { configError: 'API_KEY environment variable is not configured', history };
+    }
+
+    return {
+      ...createApiNinjasProvider(apiKey),
+      history
+    };
+  },
+
+  fixture() {
+    return createFixtureProvider(process.env.FIXTURE_DIR || undefined);
+  }
+};
+
+let cachedProvider = null;
+let cachedConfigKey = null;
+
+/**
+ * Returns the configured market data provider
+ * If the provider can't be fully used, the result has a `configError`
+ * message and only the methods that still work (if any).
+ * @returns {Object} Provider
+ */
+function getProvider() {
+  const name = (process.env.MARKET_DATA_PROVIDER || 'live').toLowerCase();
+  const configKey = [name, process.env.API_KEY, process.env.FIXTURE_DIR].join('|');
+
+  if (cachedProvider && cachedConfigKey === configKey) {
+    return cachedProvider;
+  }
+
+  const factory = PROVIDERS[name];
+  const provider = factory
+    ? { name, configError: null, ...factory() }
+    : { name, configError: `Unknown MARKET_DATA_PROVIDER: ${name} (expected ${Object.keys(PROVIDERS).join(' or ')})` };
+
+  cachedProvider = provider;
+  cachedConfigKey = configKey;
+  return provider;
+}
+
+module.exports = {
+  getProvider
+};
@@ -0,0 +1,75 @@
+/**
+ * Market Data Provider: Yahoo Finance
+ *
+ * Daily price history from the Yahoo Finance chart API, normalized into
+ * OHLCV bars. Yahoo Finance is free and doesn't require authentication.
+ */
+
+const { request, UpstreamError } = require('../upstream');
+const { isIntraday } = require('../history');
+
+/**
+ * Creates the Yahoo Finance provider
+ * @returns {Object} Provider with a history method
+ */
+function createYahooProvider() {
+  return {
+    /**
+     * Price history for a ticker
+     * @param {string} ticker - Stock ticker symbol
+     * @param {Object} [options] - { range, interval } in Yahoo notation
+     * @returns {Promise<{ticker: string, currency: string|null, interval: string, bars: Array}>}
+     */
+    async history(ticker, { range = '1mo', interval = '1d' } = {}) {
+      const hostname = 'query1.finance.yahoo.com';
+      const path = `/v8/finance/chart/${ticker}?interval=${interval}&range=${range}`;
+      const jsonData = await request({
+        hostname,
+        path,
+        headers: {
+          'User-Agent': 'Mozilla/5.0'
+        }
+      });
+
+      // Extract data from Yahoo Finance response structure
+      const result = jsonData.chart?.result?.[0];
+      if (!result) {
+        // An unknown ticker comes back as an empty result
+        throw new UpstreamError(`No data found for ${ticker}`, { code: 'HTTP', statusCode: 404, hostname, path });
+      }
+
+      const timestamps = result.timestamp || [];
+      const quotes = result.indicators?.quote?.[0] || {};
+      const adjClose = result.indicators?.adjclose?.[0]?.adjclose || [];
+
+      // Intraday bars keep the full timestamp; daily and longer bars use the date
+      const intraday = isIntraday(interval);
+
+      // Filter out bars without a close price
+      const bars = timestamps
+        .map((timestamp, index) => ({
+          date: intraday
+            ? new Date(timestamp * 1000).toISOString()
+            : new Date(timestamp * 1000).toISOString().split('T')[0],
+          open: quotes.open?.[index] ?? null,
+          high: quotes.high?.[index] ?? null,
+          low: quotes.low?.[index] ?? null,
+          close: quotes.close?.[index] ?? null,
+          adjClose: adjClose[index] ?? null,
+          volume: quotes.volume?.[index] ?? null
+        }))
+        .filter(bar => bar.close !== null);
+
+      return {
+        ticker,
+        currency: result.meta?.currency || null,
+        interval,
+        bars
+      };
+    }
+  };
+}
+
+module.exports = {
+  createYahooProvider
+};
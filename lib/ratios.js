@@ -0,0 +1,99 @@
+/**
+ * Shared Module: Financial Ratios
+ *
+ * Size-independent ratios derived from one earnings filing, so companies
+ * of different scale can be compared and ranked.
+ *
+ * Filings are quarterly: ROE and ROA annualize the quarter's net income
+ * (x4) against period-end equity and assets. Every ratio is null when an
+ * input is missing or its denominator is zero.
+ */
+
+const QUARTERS_PER_YEAR = 4;
+
+function round(value, decimals = 2) {
+  return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * numerator / denominator, or null when either is missing or the denominator is 0
+ */
+function ratio(numerator, denominator) {
+  if (typeof numerator !== 'number' || typeof denominator !== 'number' || denominator === 0) {
+    return null;
+  }
+  return numerator / denominator;
+}
+
+/**
+ * A ratio expressed in percent and rounded
+ */
+function percent(numerator, denominator) {
+  const value = ratio(numerator, denominator);
+  return value === null ? null : round(value * 100);
+}
+
+/**
+ * Free cash flow as reported, else operating cash flow less capital expenditures
+ * @param {Object} cashFlow - Filing cash_flow section
+ * @returns {number|null}
+ */
+function freeCashFlow(cashFlow) {
+  if (typeof cashFlow.free_cash_flow === 'number') {
+    return cashFlow.free_cash_flow;
+  }
+  if (typeof cashFlow.operating_cash_flow === 'number' && typeof cashFlow.capital_expenditures === 'number') {
+    return cashFlow.operating_cash_flow - Math.abs(cashFlow.capital_expenditures);
+  }
+  return null;
+}
+
+/**
+ * Profit margins (percent of revenue)
+ * @param {Object} income - Filing income_statement section
+ * @returns {{grossMarginPercent: number|null, operatingMarginPercent: number|null, netMarginPercent: number|null}}
+ */
+function computeMargins(income) {
+  return {
+    grossMarginPercent: percent(income.gross_profit, income.total_revenue),
+    operatingMarginPercent: percent(income.operating_income, income.total_revenue),
+    netMarginPercent: percent(income.net_income, income.total_revenue)
+  };
+}
+
+/**
+ * Computes the ratios for one filing
+ * @param {Object} filing - Earnings filing (API Ninjas shape)
+ * @returns {Object} Margins, returns, liquidity, leverage, cash flow and R&D intensity
+ */
+function computeRatios(filing) {
+  const income = filing.income_statement || {};
+  const balance = filing.balance_sheet || {};
+  const cashFlow = filing.cash_flow || {};
+
+  const revenue = income.total_revenue;
+  const fcf = freeCashFlow(cashFlow);
+  const annualizedNetIncome = typeof income.net_income === 'number' ? income.net_income * QUARTERS_PER_YEAR : null;
+  const debt = balance.total_debt ?? balance.long_term_debt;
+  const quickAssets = typeof balance.current_assets === 'number'
+    ? balance.current_assets - (balance.inventory || 0)
+    : null;
+
+  return {
+    ...computeMargins(income),
+    roePercent: percent(annualizedNetIncome, balance.stockholders_equity),
+    roaPercent: percent(annualizedNetIncome, balance.total_assets),
+    currentRatio: round(ratio(balance.current_assets, balance.current_liabilities)),
+    quickRatio: round(ratio(quickAssets, balance.current_liabilities)),
+    debtToEquity: round(ratio(debt, balance.stockholders_equity)),
+    freeCashFlow: fcf,
+    fcfMarginPercent: percent(fcf, revenue),
+    rdIntensityPercent: percent(income.research_and_development, revenue)
+  };
+}
+
+module.exports = {
+  freeCashFlow,
+  computeMargins,
+  computeRatios
+};
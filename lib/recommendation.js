@@ -0,0 +1,383 @@
+/**
+ * Shared Module: Recommendation Model
+ *
+ * The BUY/HOLD/SELL scoring model, defined as versioned configuration:
+ * named factors with a weight and thresholds each, and score bands.
+ *
+ * - Each factor turns its input into a signal of -1, 0 or 1 using its
+ *   thresholds; a factor without data signals 0
+ * - A factor contributes weight × signal, and the score is the sum
+ * - The highest band the score is above decides the recommendation and
+ *   confidence (the last band takes every other score)
+ * - Weights are normalized to sum to 1, so tuned weights keep the bands'
+ *   meaning
+ * - Risk is reported with the recommendation but never changes the score
+ *
+ * A request can pick a model version and override weights and thresholds
+ * (see resolveModelRequest); the response carries the model it was scored
+ * with and every factor's contribution.
+ */
+
+const MODELS = {
+  '1.0': {
+    version: '1.0',
+    description: 'Earnings call sentiment 40%, 30-day price trend 30%, inflation and unemployment 30%',
+    factors: [
+      {
+        id: 'sentiment',
+        label: 'Earnings Call Sentiment',
+        weight: 0.4,
+        thresholds: { positiveScore: 0.5, negativeScore: 0.3 },
+        thresholdLabels: {
+          positiveScore: 'Positive above score',
+          negativeScore: 'Negative below score'
+        }
+      },
+      {
+        id: 'priceTrend',
+        label: '30-Day Price Trend',
+        weight: 0.3,
+        thresholds: { upPercent: 5, downPercent: -5 },
+        thresholdLabels: {
+          upPercent: 'Uptrend above (%)',
+          downPercent: 'Downtrend below (%)'
+        }
+      },
+      {
+        id: 'economic',
+        label: 'Macro Conditions',
+        weight: 0.3,
+        thresholds: { lowInflation: 3, highInflation: 5, lowUnemployment: 5, highUnemployment: 6 },
+        thresholdLabels: {
+          lowInflation: 'Low inflation below (%)',
+          highInflation: 'High inflation above (%)',
+          lowUnemployment: 'Strong employment below (%)',
+          highUnemployment: 'Weak employment above (%)'
+        }
+      }
+    ],
+    bands: [
+      {
+        id: 'strongBuy',
+        above: 0.4,
+        recommendation: 'BUY',
+        confidence: 'High',
+        summary: 'Strong indicators suggest potential for appreciation. Positive sentiment combined with favorable conditions support a buying opportunity.'
+      },
+      {
+        id: 'buy',
+        above: 0,
+        recommendation: 'BUY',
+        confidence: 'Moderate',
+        summary: 'Generally positive indicators with some caution. Consider gradual position building.'
+      },
+      {
+        id: 'hold',
+        above: -0.4,
+        recommendation: 'HOLD',
+        confidence: 'Moderate',
+        summary: 'Mixed signals suggest maintaining current position. Monitor for clearer trends before making changes.'
+      },
+      {
+        id: 'sell',
+        above: null,
+        recommendation: 'SELL',
+        confidence: 'Moderate',
+        summary: 'Negative indicators suggest risk mitigation. Consider reducing exposure or taking profits.'
+      }
+    ],
+    // Threshold pairs that must stay in ascending order
+    ordering: [
+      ['sentiment.negativeScore', 'sentiment.positiveScore'],
+      ['priceTrend.downPercent', 'priceTrend.upPercent'],
+      ['economic.lowInflation', 'economic.highInflation'],
+      ['economic.lowUnemployment', 'economic.highUnemployment'],
+      ['bands.hold', 'bands.buy'],
+      ['bands.buy', 'bands.strongBuy']
+    ]
+  }
+};
+
+const DEFAULT_MODEL_VERSION = '1.0';
+
+const DISCLAIMER = 'This analysis is for educational purposes only and not financial advice. Always conduct thorough research and consult with financial professionals before making investment decisions.';
+
+function round(value, decimals = 4) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(decimals)) : null;
+}
+
+/**
+ * Signal evaluators by factor id
+ * Each returns { available, signal, value, reason } from the model inputs.
+ */
+const FACTOR_EVALUATORS = {
+  sentiment({ sentimentData }, thresholds) {
+    if (!sentimentData || !sentimentData.overall) {
+      return { available: false, signal: 0, value: null, reason: null };
+    }
+
+    const { score, sentiment } = sentimentData.overall;
+    const breakdown = sentimentData.breakdown;
+    const ratios = sentimentData.sentimentRatio;
+
+    if (sentiment === 'POSITIVE' && score > thresholds.positiveScore) {
+      return {
+        available: true,
+        signal: 1,
+        value: score,
+        reason: `✅ Positive earnings sentiment: ${ratios.positivePercent}% positive statements (${breakdown.positive}/${breakdown.total} analyzed)`
+      };
+    }
+    if (sentiment === 'NEGATIVE' || score < thresholds.negativeScore) {
+      return {
+        available: true,
+        signal: -1,
+        value: score,
+        reason: `⚠️ Negative earnings sentiment: ${ratios.negativePercent}% negative statements suggests challenges`
+      };
+    }
+    return {
+      available: true,
+      signal: 0,
+      value: score,
+      reason: `➖ Mixed earnings sentiment: ${ratios.positivePercent}% positive, ${ratios.negativePercent}% negative`
+    };
+  },
+
+  priceTrend({ historicalTrend }, thresholds) {
+    if (!historicalTrend || historicalTrend.trendPercent === undefined || historicalTrend.trendPercent === null) {
+      return { available: false, signal: 0, value: null, reason: null };
+    }
+
+    const trend = historicalTrend.trendPercent;
+    if (trend > thresholds.upPercent) {
+      return { available: true, signal: 1, value: trend, reason: `📈 Strong 30-day uptrend (+${trend.toFixed(1)}%) shows positive momentum` };
+    }
+    if (trend < thresholds.downPercent) {
+      return { available: true, signal: -1, value: trend, reason: `📉 30-day downtrend (${trend.toFixed(1)}%) indicates selling pressure` };
+    }
+    return {
+      available: true,
+      signal: 0,
+      value: trend,
+      reason: `➖ Price relatively stable over past 30 days (${trend > 0 ? '+' : ''}${trend.toFixed(1)}%)`
+    };
+  },
+
+  economic({ economicData }, thresholds) {
+    if (!economicData || !economicData.indicators) {
+      return { available: false, signal: 0, value: null, reason: null };
+    }
+
+    const { inflation, unemployment } = economicData.indicators;
+    let economicScore = 0;
+    const reasons = [];
+
+    if (inflation && inflation.available) {
+      if (inflation.value < thresholds.lowInflation) {
+        economicScore += 0.5;
+        reasons.push('low inflation');
+      } else if (inflation.value > thresholds.highInflation) {
+        economicScore -= 0.5;
+        reasons.push('high inflation');
+      }
+    }
+
+    if (unemployment && unemployment.available) {
+      if (unemployment.value < thresholds.lowUnemployment) {
+        economicScore += 0.5;
+        reasons.push('strong employment');
+      } else if (unemployment.value > thresholds.highUnemployment) {
+        economicScore -= 0.5;
+        reasons.push('weak employment');
+      }
+    }
+
+    const value = {
+      inflation: inflation && inflation.available ? inflation.value : null,
+      unemployment: unemployment && unemployment.available ? unemployment.value : null
+    };
+
+    if (economicScore > 0) {
+      return { available: true, signal: 1, value, reason: `🌍 Favorable economic conditions (${reasons.join(', ')})` };
+    }
+    if (economicScore < 0) {
+      return { available: true, signal: -1, value, reason: `🌍 Challenging economic environment (${reasons.join(', ')})` };
+    }
+    return { available: true, signal: 0, value, reason: '🌍 Mixed economic signals' };
+  }
+};
+
+/**
+ * Copy of a model version, or null when there is no such version
+ */
+function getModel(version = DEFAULT_MODEL_VERSION) {
+  const model = MODELS[version];
+  return model ? { ...JSON.parse(JSON.stringify(model)), tuned: false } : null;
+}
+
+/**
+ * Parses "key:value,key:value" into [key, number] pairs
+ * @returns {{pairs: Array|null, error: string|null}}
+ */
+function parseOverrides(text, name) {
+  const pairs = [];
+  for (const entry of String(text).split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.lastIndexOf(':');
+    const key = entry.slice(0, separator).trim();
+    const value = Number(entry.slice(separator + 1));
+    if (separator <= 0 || !Number.isFinite(value)) {
+      return { pairs: null, error: `${name} must be a list like key:value,key:value` };
+    }
+    pairs.push([key, value]);
+  }
+  return { pairs, error: null };
+}
+
+/**
+ * Resolves the model for a request: a version with optional overrides
+ * - model: version id (default DEFAULT_MODEL_VERSION)
+ * - weights: factor weights, e.g. "sentiment:0.5,priceTrend:0.25,economic:0.25"
+ * - thresholds: factor thresholds and band floors, e.g. "priceTrend.upPercent:3,bands.strongBuy:0.5"
+ * @param {Object} query - Request query
+ * @returns {{model: Object|null, error: string|null}}
+ */
+function resolveModelRequest(query) {
+  const version = query.model ? String(query.model) : DEFAULT_MODEL_VERSION;
+  const model = getModel(version);
+  if (!model) {
+    return { model: null, error: `Unknown model version: ${version.slice(0, 20)}. Available: ${Object.keys(MODELS).join(', ')}` };
+  }
+
+  if (query.weights) {
+    const { pairs, error } = parseOverrides(query.weights, 'weights');
+    if (error) {
+      return { model: null, error };
+    }
+    for (const [id, weight] of pairs) {
+      const factor = model.factors.find(f => f.id === id);
+      if (!factor) {
+        return { model: null, error: `Unknown factor in weights: ${id.slice(0, 30)}` };
+      }
+      if (weight < 0) {
+        return { model: null, error: 'Weights must not be negative' };
+      }
+      factor.weight = weight;
+    }
+    model.tuned = true;
+  }
+
+  if (query.thresholds) {
+    const { pairs, error } = parseOverrides(query.thresholds, 'thresholds');
+    if (error) {
+      return { model: null, error };
+    }
+    for (const [key, value] of pairs) {
+      const [scope, name] = key.split('.');
+      if (scope === 'bands') {
+        const band = model.bands.find(b => b.id === name && b.above !== null);
+        if (!band) {
+          return { model: null, error: `Unknown band in thresholds: ${key.slice(0, 30)}` };
+        }
+        band.above = value;
+      } else {
+        const factor = model.factors.find(f => f.id === scope);
+        if (!factor || !Object.hasOwn(factor.thresholds, name)) {
+          return { model: null, error: `Unknown threshold: ${key.slice(0, 30)}` };
+        }
+        factor.thresholds[name] = value;
+      }
+    }
+    model.tuned = true;
+  }
+
+  const totalWeight = model.factors.reduce((sum, factor) => sum + factor.weight, 0);
+  if (totalWeight <= 0) {
+    return { model: null, error: 'At least one weight must be above zero' };
+  }
+  model.factors.forEach(factor => {
+    factor.weight = round(factor.weight / totalWeight);
+  });
+
+  const valueOf = key => {
+    const [scope, name] = key.split('.');
+    return scope === 'bands'
+      ? model.bands.find(b => b.id === name).above
+      : model.factors.find(f => f.id === scope).thresholds[name];
+  };
+  const unordered = model.ordering.find(([lower, upper]) => valueOf(lower) > valueOf(upper));
+  if (unordered) {
+    return { model: null, error: `${unordered[0]} must not be above ${unordered[1]}` };
+  }
+
+  return { model, error: null };
+}
+
+/**
+ * Scores a ticker with a model
+ * @param {Object} inputs - { sentimentData, economicData, historicalTrend, riskMetrics }, each null when unavailable
+ * @param {Object} [model] - Output of getModel or resolveModelRequest (default: the default version)
+ * @returns {Object} { recommendation, confidence, riskLevel, score, band, summary, reasoning, factors,
+ *   contributions: [{ id, label, weight, signal, contribution, value, available }], model, disclaimer }
+ */
+function generateRecommendation(inputs, model = getModel()) {
+  const reasoning = [];
+  const factors = {};
+
+  const contributions = model.factors.map(factor => {
+    const result = FACTOR_EVALUATORS[factor.id](inputs, factor.thresholds);
+    if (result.reason) {
+      reasoning.push(result.reason);
+    }
+    factors[factor.id] = result.signal;
+
+    return {
+      id: factor.id,
+      label: factor.label,
+      weight: factor.weight,
+      signal: result.signal,
+      contribution: round(factor.weight * result.signal),
+      value: result.value,
+      available: result.available
+    };
+  });
+
+  const score = round(contributions.reduce((sum, c) => sum + c.contribution, 0));
+  const band = model.bands.find(b => b.above === null || score > b.above);
+
+  // RISK LEVEL - informational, from one-year volatility, drawdown and beta
+  // (see lib/risk.js); it does not change the score
+  let riskLevel = 'Unknown';
+  if (inputs.riskMetrics) {
+    riskLevel = inputs.riskMetrics.riskLevel;
+    reasoning.push(`🛡️ ${riskLevel} risk: ${inputs.riskMetrics.riskReasons.join(', ')}`);
+  }
+
+  return {
+    recommendation: band.recommendation,
+    confidence: band.confidence,
+    riskLevel,
+    score,
+    band: band.id,
+    summary: band.summary,
+    reasoning,
+    factors,
+    contributions,
+    model: {
+      version: model.version,
+      description: model.description,
+      tuned: model.tuned,
+      factors: model.factors.map(({ id, label, weight, thresholds, thresholdLabels }) => ({ id, label, weight, thresholds, thresholdLabels })),
+      bands: model.bands.map(({ id, above, recommendation, confidence }) => ({ id, above, recommendation, confidence }))
+    },
+    disclaimer: DISCLAIMER
+  };
+}
+
+module.exports = {
+  MODELS,
+  DEFAULT_MODEL_VERSION,
+  getModel,
+  resolveModelRequest,
+  generateRecommendation
+};
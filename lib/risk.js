@@ -0,0 +1,352 @@
+/**
+ * Shared Module: Risk and Return Statistics
+ *
+ * Volatility, drawdown, return distribution, beta/correlation against a
+ * benchmark and Sharpe/Sortino ratios for a price series, the risk label
+ * used by the AI recommendation, and pairwise return correlations for
+ * the Compare tab.
+ *
+ * Returns are simple period-over-period returns. Annualized figures scale
+ * by the number of bars per year for the series' interval. The risk-free
+ * rate is the Federal Reserve rate from the macro indicators (0% when it
+ * is unavailable).
+ */
+
+const { settle } = require('./upstream');
+
+// Bars per year for each history interval (intraday assumes a 6.5-hour session)
+const PERIODS_PER_YEAR = {
+  '1m': 252 * 390,
+  '5m': 252 * 78,
+  '15m': 252 * 26,
+  '30m': 252 * 13,
+  '60m': 252 * 7,
+  '1d': 252,
+  '1wk': 52,
+  '1mo': 12
+};
+
+// Annualized volatility bands for the risk label (percent)
+const VOLATILITY_BANDS = [
+  { max: 20, level: 'Low' },
+  { max: 35, level: 'Moderate' },
+  { max: 50, level: 'Elevated' },
+  { max: Infinity, level: 'High' }
+];
+const RISK_LEVELS = VOLATILITY_BANDS.map(band => band.level);
+const UNKNOWN_RISK_LEVEL = 'Unknown';
+
+// Risk-free rate cache (1 hour TTL - the Fed rate changes rarely)
+let riskFreeCache = null;
+const RISK_FREE_CACHE_TTL = 60 * 60 * 1000;
+
+function round(value, decimals = 2) {
+  return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(decimals));
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation
+ */
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / (values.length - 1));
+}
+
+/**
+ * Percentile with linear interpolation
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} p - Percentile from 0 to 1
+ */
+function percentile(sorted, p) {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Period-over-period simple returns
+ * @param {number[]} prices - Price series, oldest first
+ * @returns {number[]} One fewer value than prices
+ */
+function periodReturns(prices) {
+  const returns = [];
+  for (let i = 1; i < prices.length; i++) {
+    returns.push(prices[i] / prices[i - 1] - 1);
+  }
+  return returns;
+}
+
+/**
+ * Largest peak-to-trough decline
+ * @param {string[]} dates - Bar dates
+ * @param {number[]} prices - Price series, oldest first
+ * @returns {{percent: number, peakDate: string, troughDate: string, recovered: boolean}}
+ */
+function maxDrawdown(dates, prices) {
+  let peakIndex = 0;
+  let worst = { drawdown: 0, peakIndex: 0, troughIndex: 0 };
+
+  for (let i = 1; i < prices.length; i++) {
+    if (prices[i] > prices[peakIndex]) {
+      peakIndex = i;
+    }
+    const drawdown = prices[i] / prices[peakIndex] - 1;
+    if (drawdown < worst.drawdown) {
+      worst = { drawdown, peakIndex, troughIndex: i };
+    }
+  }
+
+  const peakPrice = prices[worst.peakIndex];
+  const recovered = prices.slice(worst.troughIndex).some(price => price >= peakPrice);
+
+  return {
+    percent: round(worst.drawdown * 100),
+    peakDate: dates[worst.peakIndex],
+    troughDate: dates[worst.troughIndex],
+    recovered
+  };
+}
+
+/**
+ * Summary of the period return distribution (percent)
+ */
+function returnDistribution(returns) {
+  const sorted = [...returns].sort((a, b) => a - b);
+  const avg = mean(returns);
+  const deviation = stdDev(returns);
+  const skewness = deviation > 0
+    ? returns.reduce((sum, r) => sum + Math.pow((r - avg) / deviation, 3), 0) / returns.length
+    : 0;
+
+  return {
+    meanPercent: round(avg * 100, 3),
+    medianPercent: round(percentile(sorted, 0.5) * 100, 3),
+    stdDevPercent: round(deviation * 100, 3),
+    minPercent: round(sorted[0] * 100),
+    maxPercent: round(sorted[sorted.length - 1] * 100),
+    percentile5Percent: round(percentile(sorted, 0.05) * 100),
+    percentile95Percent: round(percentile(sorted, 0.95) * 100),
+    positivePercent: round((returns.filter(r => r > 0).length / returns.length) * 100, 1),
+    skewness: round(skewness)
+  };
+}
+
+/**
+ * Restricts several price series to the dates they all have
+ * @param {Array<{dates: string[], prices: number[]}>} seriesList - Series to align
+ * @returns {{dates: string[], prices: number[][]}} Common dates and one aligned price array per series
+ */
+function alignSeries(seriesList) {
+  const lookups = seriesList.map(series => new Map(series.dates.map((date, i) => [date, series.prices[i]])));
+  const dates = seriesList[0].dates.filter(date => lookups.every(lookup => lookup.has(date)));
+
+  return {
+    dates,
+    prices: lookups.map(lookup => dates.map(date => lookup.get(date)))
+  };
+}
+
+/**
+ * Prices of a series on given dates, carrying its last price forward over
+ * dates it has none (null before it starts)
+ * Used for reference series such as benchmarks, which must not trim the
+ * dates of the series they are compared with.
+ * @param {string[]} dates - Dates to align to, ascending
+ * @param {{dates: string[], prices: number[]}} series - Series to align, ascending
+ * @returns {Array<number|null>} One price per date
+ */
+function alignToDates(dates, series) {
+  const aligned = [];
+  let cursor = -1;
+  for (const date of dates) {
+    while (cursor + 1 < series.dates.length && series.dates[cursor + 1] <= date) {
+      cursor++;
+    }
+    aligned.push(cursor === -1 ? null : series.prices[cursor]);
+  }
+  return aligned;
+}
+
+/**
+ * Pearson correlation of two equally long series
+ * @returns {number|null} Null when either series has no variance
+ */
+function correlation(x, y) {
+  const xMean = mean(x);
+  const yMean = mean(y);
+  let covariance = 0;
+  let xVariance = 0;
+  let yVariance = 0;
+
+  for (let i = 0; i < x.length; i++) {
+    covariance += (x[i] - xMean) * (y[i] - yMean);
+    xVariance += Math.pow(x[i] - xMean, 2);
+    yVariance += Math.pow(y[i] - yMean, 2);
+  }
+
+  return xVariance > 0 && yVariance > 0 ? covariance / Math.sqrt(xVariance * yVariance) : null;
+}
+
+/**
+ * Pairwise correlation of period returns
+ * @param {number[][]} alignedPrices - Price series aligned on the same dates
+ * @returns {Array<Array<number|null>>} Symmetric matrix with 1 on the diagonal
+ */
+function correlationMatrix(alignedPrices) {
+  const returns = alignedPrices.map(periodReturns);
+
+  return returns.map((a, i) => returns.map((b, j) => {
+    if (i === j) return 1;
+    return a.length < 2 ? null : round(correlation(a, b));
+  }));
+}
+
+/**
+ * Beta and correlation of a series against a benchmark, using only dates both have
+ * @returns {{ticker: string, beta: number|null, correlation: number|null, observations: number}}
+ */
+function benchmarkStatistics(dates, prices, benchmark) {
+  const aligned = alignSeries([{ dates, prices }, benchmark]);
+  const assetReturns = periodReturns(aligned.prices[0]);
+  const benchmarkReturns = periodReturns(aligned.prices[1]);
+
+  if (assetReturns.length < 2) {
+    return { ticker: benchmark.ticker, beta: null, correlation: null, observations: assetReturns.length };
+  }
+
+  // Beta = correlation * (asset volatility / benchmark volatility)
+  const benchmarkDeviation = stdDev(benchmarkReturns);
+  const rho = correlation(assetReturns, benchmarkReturns);
+
+  return {
+    ticker: benchmark.ticker,
+    beta: rho !== null && benchmarkDeviation > 0 ? round(rho * stdDev(assetReturns) / benchmarkDeviation) : null,
+    correlation: round(rho),
+    observations: assetReturns.length
+  };
+}
+
+/**
+ * Risk label derived from volatility, drawdown and beta
+ * Starts from the volatility band and moves up one level for a drawdown
+ * worse than -25% and one for a beta above 1.5. Without a volatility
+ * figure the level is UNKNOWN_RISK_LEVEL rather than a band.
+ * @param {Object} risk - Output of computeRiskStatistics
+ * @returns {{level: string, reasons: string[]}}
+ */
+function classifyRisk(risk) {
+  if (risk.volatilityPercent === null) {
+    return { level: UNKNOWN_RISK_LEVEL, reasons: ['volatility could not be computed from the price history'] };
+  }
+
+  const band = VOLATILITY_BANDS.findIndex(b => risk.volatilityPercent < b.max);
+  let index = band;
+  const reasons = [`${risk.volatilityPercent}% annualized volatility`];
+
+  if (risk.maxDrawdown.percent < -25) {
+    index++;
+    reasons.push(`${risk.maxDrawdown.percent}% max drawdown`);
+  }
+
+  if (risk.benchmark && risk.benchmark.beta !== null && risk.benchmark.beta > 1.5) {
+    index++;
+    reasons.push(`beta of ${risk.benchmark.beta} vs ${risk.benchmark.ticker}`);
+  }
+
+  return {
+    level: RISK_LEVELS[Math.min(index, RISK_LEVELS.length - 1)],
+    reasons
+  };
+}
+
+/**
+ * Computes risk and return statistics for a price series
+ * @param {Object} params
+ * @param {string[]} params.dates - Bar dates, oldest first
+ * @param {number[]} params.prices - Prices aligned with dates
+ * @param {string} params.interval - History interval (sets the annualization factor)
+ * @param {{percent: number, source: string}} params.riskFreeRate - Annual risk-free rate
+ * @param {Object} [params.benchmark] - { ticker, dates, prices } for beta and correlation
+ * @returns {Object|null} Risk statistics, or null with fewer than 3 bars
+ */
+function computeRiskStatistics({ dates, prices, interval, riskFreeRate, benchmark = null }) {
+  const returns = periodReturns(prices);
+  if (returns.length < 2) {
+    return null;
+  }
+
+  const periodsPerYear = PERIODS_PER_YEAR[interval] || 252;
+  const periodRiskFree = riskFreeRate.percent / 100 / periodsPerYear;
+  const excessReturns = returns.map(r => r - periodRiskFree);
+
+  const volatility = stdDev(returns) * Math.sqrt(periodsPerYear);
+  const totalReturn = prices[prices.length - 1] / prices[0] - 1;
+  const annualizedReturn = Math.pow(1 + totalReturn, periodsPerYear / returns.length) - 1;
+
+  // Sharpe and Sortino use the average excess return per period, annualized
+  const annualizedExcess = mean(excessReturns) * periodsPerYear;
+  const downsideDeviation = Math.sqrt(
+    excessReturns.reduce((sum, r) => sum + Math.pow(Math.min(r, 0), 2), 0) / excessReturns.length
+  ) * Math.sqrt(periodsPerYear);
+
+  const risk = {
+    periodsPerYear,
+    observations: returns.length,
+    annualizedReturnPercent: round(annualizedReturn * 100),
+    volatilityPercent: round(volatility * 100),
+    maxDrawdown: maxDrawdown(dates, prices),
+    returnDistribution: returnDistribution(returns),
+    riskFreeRate,
+    sharpeRatio: volatility > 0 ? round(annualizedExcess / volatility) : null,
+    sortinoRatio: downsideDeviation > 0 ? round(annualizedExcess / downsideDeviation) : null,
+    benchmark: benchmark ? benchmarkStatistics(dates, prices, benchmark) : null
+  };
+
+  const { level, reasons } = classifyRisk(risk);
+  risk.riskLevel = level;
+  risk.riskReasons = reasons;
+
+  return risk;
+}
+
+/**
+ * Annual risk-free rate from the provider's Federal Reserve rate
+ * @param {Object} provider - Market data provider
+ * @returns {Promise<{percent: number, source: string}>} source is fed-rate or unavailable
+ */
+async function getRiskFreeRate(provider) {
+  if (riskFreeCache && Date.now() - riskFreeCache.timestamp < RISK_FREE_CACHE_TTL) {
+    return riskFreeCache.rate;
+  }
+
+  // The live provider has no macro data without an API key
+  const result = provider.macro ? await settle(provider.macro('interestRate')) : { success: false };
+  const rate = result.success && result.data && Number.isFinite(result.data.value)
+    ? { percent: result.data.value, source: 'fed-rate', period: result.data.period }
+    : { percent: 0, source: 'unavailable' };
+
+  // Only cache a real rate so a transient failure is retried on the next request
+  if (rate.source === 'fed-rate') {
+    riskFreeCache = { timestamp: Date.now(), rate };
+  }
+  return rate;
+}
+
+module.exports = {
+  RISK_LEVELS,
+  UNKNOWN_RISK_LEVEL,
+  periodReturns,
+  maxDrawdown,
+  alignSeries,
+  alignToDates,
+  correlationMatrix,
+  computeRiskStatistics,
+  classifyRisk,
+  getRiskFreeRate
+};
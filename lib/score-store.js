@@ -0,0 +1,87 @@
+/**
+ * Shared Module: Score Store
+ *
+ * Keeps the sentiment scores of past earnings calls so a call is fetched
+ * and scored once, not on every request. Past transcripts never change,
+ * so stored scores have no TTL. They are keyed by ticker, fiscal quarter
+ * and LEXICON_VERSION (lib/sentiment.js), so changing the scorer starts
+ * afresh instead of mixing old and new scores.
+ *
+ * Scores live in memory and in one JSON file per call under
+ * SCORE_STORE_DIR/<store>/<LEXICON_VERSION>/, so they outlast the process:
+ * a restart, and on serverless hosts a cold start, reads them back from
+ * disk. SCORE_STORE_DIR defaults to a directory in the OS temp dir, which
+ * serverless hosts keep only per instance; point it at a persistent volume
+ * to share scores between instances. A store that can't be written (e.g. a
+ * read-only file system) logs once and keeps working from memory.
+ *
+ * Environment Variables:
+ * - SCORE_STORE_DIR: Directory for stored scores (default <tmpdir>/ci-dashboard-scores)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LEXICON_VERSION } = require('./sentiment');
+
+const DEFAULT_STORE_DIR = path.join(os.tmpdir(), 'ci-dashboard-scores');
+const MAX_MEMORY_ENTRIES = 500;
+
+/**
+ * Creates a store of call scores
+ * @param {string} name - Store name, one per shape of stored score (e.g. sentiment-history)
+ * @returns {{get: Function, set: Function}} Keyed by (ticker, { year, quarter }); get returns
+ *   undefined for a call not stored yet, while a stored value may be null (nothing to score)
+ */
+function createScoreStore(name) {
+  const memory = new Map();
+  let diskDisabled = false;
+
+  const directory = () => path.join(process.env.SCORE_STORE_DIR || DEFAULT_STORE_DIR, name, LEXICON_VERSION);
+  const memoryKey = (ticker, { year, quarter }) => `${ticker}_${year}Q${quarter}`;
+  const filePath = (ticker, period) => path.join(directory(), `${memoryKey(ticker, period)}.json`);
+
+  function remember(key, value) {
+    memory.set(key, value);
+    if (memory.size > MAX_MEMORY_ENTRIES) {
+      memory.delete(memory.keys().next().value);
+    }
+  }
+
+  return {
+    get(ticker, period) {
+      const key = memoryKey(ticker, period);
+      if (memory.has(key)) {
+        return memory.get(key);
+      }
+
+      try {
+        const value = JSON.parse(fs.readFileSync(filePath(ticker, period), 'utf8'));
+        remember(key, value);
+        return value;
+      } catch (error) {
+        // Not stored yet, or an unreadable file that the next score replaces
+        return undefined;
+      }
+    },
+
+    set(ticker, period, value) {
+      remember(memoryKey(ticker, period), value);
+      if (diskDisabled) {
+        return;
+      }
+
+      try {
+        fs.mkdirSync(directory(), { recursive: true });
+        fs.writeFileSync(filePath(ticker, period), JSON.stringify(value));
+      } catch (error) {
+        diskDisabled = true;
+        console.log(`Score store ${name} is memory-only, writing ${directory()} failed:`, error.message);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createScoreStore
+};
@@ -0,0 +1,345 @@
+/**
+ * Shared Module: Sentiment Scoring
+ *
+ * The one sentiment engine for earnings call text: a finance-tuned lexicon
+ * scored on whole words, so "up" never matches inside "support". The AI
+ * Recommendations and Sentence Analysis tabs both read its results from
+ * /api/earnings-analysis.
+ *
+ * - Each lexicon word carries a weight (e.g. "record" +2, "headwinds" -2)
+ * - A negation up to NEGATION_WINDOW words before a word ("not seeing
+ *   weakness", "didn't decline") flips it and damps it by NEGATION_FACTOR
+ * - An intensifier right before a word ("significantly higher") scales it
+ *   up, a diminisher ("slightly lower") scales it down
+ * - A sentence's summed weight is squashed into a compound tone between
+ *   -1 and 1; at POLARITY_THRESHOLD or beyond either way the sentence is
+ *   POSITIVE or NEGATIVE, otherwise NEUTRAL
+ * - score = (compound + 1) / 2 is the 0-1 positivity the recommendation
+ *   uses, 0.5 being neutral
+ *
+ * A transcript is scored in full, statement by statement. Scores are cached
+ * per statement text, so re-analyzing a call (or a quarter's call in a
+ * history) reuses them. Scoring is local, with no vendor calls, so the
+ * only bound needed is yielding to the event loop between batches of
+ * statements so a long call does not hold up other requests.
+ */
+
+const crypto = require('crypto');
+const { classifySpeaker, detectSections, MANAGEMENT_TYPES, SPEAKER_TYPES } = require('./transcripts');
+
+const LEXICON_GROUPS = [
+  // Positive
+  { weight: 2.5, words: ['excellent', 'exceptional', 'outstanding', 'outperformed', 'outperforming'] },
+  { weight: 2, words: ['record', 'records', 'strong', 'stronger', 'strongest', 'confident', 'confidence', 'optimistic',
+    'exceed', 'exceeded', 'exceeds', 'exceeding', 'beat', 'beats', 'robust', 'pleased', 'excited', 'success', 'successful',
+    'outperform'] },
+  { weight: 1.5, words: ['growth', 'grow', 'grew', 'growing', 'improve', 'improved', 'improvement', 'improving',
+    'momentum', 'healthy', 'accelerate', 'accelerated', 'accelerating', 'acceleration', 'resilient', 'favorable',
+    'profitable', 'solid', 'upside', 'tailwind', 'tailwinds', 'rebound', 'proud', 'best'] },
+  { weight: 1, words: ['increase', 'increased', 'increasing', 'expansion', 'expand', 'expanded', 'gain', 'gains',
+    'opportunity', 'opportunities', 'efficiency', 'efficiencies', 'innovation', 'leading', 'better', 'benefit',
+    'benefited', 'delivered', 'achieve', 'achieved', 'milestone', 'progress', 'recovery', 'recovered', 'win', 'wins'] },
+  { weight: 0.5, words: ['up', 'higher', 'stable', 'steady', 'demand'] },
+  // Negative
+  { weight: -2.5, words: ['worst', 'disappointed', 'disappointing', 'disappointment'] },
+  { weight: -2, words: ['weak', 'weaker', 'weakness', 'weakening', 'headwind', 'headwinds', 'loss', 'losses', 'miss',
+    'missed', 'shortfall', 'slowdown', 'worse', 'impairment', 'deteriorate', 'deteriorated', 'deteriorating',
+    'deterioration', 'recession'] },
+  { weight: -1.5, words: ['decline', 'declined', 'declines', 'declining', 'softness', 'pressure', 'pressures',
+    'pressured', 'challenge', 'challenges', 'challenging', 'challenged', 'difficult', 'uncertainty', 'uncertain',
+    'concern', 'concerns', 'contraction', 'layoff', 'layoffs'] },
+  { weight: -1, words: ['decrease', 'decreased', 'decreasing', 'soft', 'slow', 'slower', 'slowing', 'below', 'risk',
+    'risks', 'volatile', 'volatility', 'lower', 'delay', 'delays', 'delayed', 'constrained', 'constraint',
+    'constraints', 'restructuring', 'litigation', 'cautious'] },
+  { weight: -0.5, words: ['down', 'costs'] }
+];
+
+const LEXICON = new Map(LEXICON_GROUPS.flatMap(group => group.words.map(word => [word, group.weight])));
+
+const NEGATIONS = new Set(['not', 'no', 'never', 'without', 'neither', 'nor', 'hardly', 'barely', 'cannot',
+  "isn't", "aren't", "wasn't", "weren't", "don't", "doesn't", "didn't", "won't", "haven't", "hasn't", "can't"]);
+
+const INTENSIFIERS = new Map([
+  ['very', 1.5], ['extremely', 1.75], ['significantly', 1.5], ['substantially', 1.5], ['exceptionally', 1.75],
+  ['remarkably', 1.5], ['particularly', 1.25], ['highly', 1.5], ['incredibly', 1.75], ['meaningfully', 1.25],
+  ['slightly', 0.5], ['somewhat', 0.5], ['modestly', 0.5], ['marginally', 0.5], ['partially', 0.5]
+]);
+
+// Words before a lexicon word in which a negation still applies
+const NEGATION_WINDOW = 3;
+const NEGATION_FACTOR = 0.75;
+
+// Normalization constant: a summed weight of about 4 reaches a compound of 0.7
+const NORMALIZATION_ALPHA = 15;
+
+// Compound tone at which a sentence counts as positive or negative
+const POLARITY_THRESHOLD = 0.15;
+
+// Fingerprint of the lexicon and scoring constants; stored call scores
+// (lib/score-store.js) are keyed by it, so tuning the scorer never serves
+// scores from the old one
+const LEXICON_VERSION = crypto.createHash('sha1')
+  .update(JSON.stringify({
+    lexicon: LEXICON_GROUPS,
+    negations: [...NEGATIONS],
+    intensifiers: [...INTENSIFIERS],
+    constants: [NEGATION_WINDOW, NEGATION_FACTOR, NORMALIZATION_ALPHA, POLARITY_THRESHOLD]
+  }))
+  .digest('hex')
+  .slice(0, 12);
+
+// Statements scored between yields to the event loop
+const STATEMENT_BATCH_SIZE = 25;
+
+// Scored sentences per statement text
+const statementCache = new Map();
+const MAX_CACHED_STATEMENTS = 5000;
+
+function round(value, decimals = 3) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(decimals)) : null;
+}
+
+/**
+ * Lowercase word tokens, keeping contractions ("didn't") whole
+ */
+function tokenize(text) {
+  return String(text || '').toLowerCase().replace(/[’‘]/g, "'").match(/[a-z]+(?:'[a-z]+)?/g) || [];
+}
+
+/**
+ * Splits text into sentences
+ * Fragments of 20 characters or fewer ("Thank you.") are dropped.
+ */
+function splitIntoSentences(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 20);
+}
+
+/**
+ * Scores one sentence
+ * @param {string} sentence
+ * @returns {{sentence: string, sentiment: string, score: number, compound: number, terms: Array<{term: string, weight: number}>}}
+ *   terms lists each lexicon word found with its weight after negation and intensity
+ */
+function scoreSentence(sentence) {
+  const tokens = tokenize(sentence);
+  const terms = [];
+
+  tokens.forEach((token, index) => {
+    const baseWeight = LEXICON.get(token);
+    if (baseWeight === undefined) return;
+
+    let weight = baseWeight;
+    const previous = tokens[index - 1];
+    if (previous && INTENSIFIERS.has(previous)) {
+      weight *= INTENSIFIERS.get(previous);
+    }
+
+    const negated = tokens
+      .slice(Math.max(0, index - NEGATION_WINDOW), index)
+      .some(word => NEGATIONS.has(word));
+    if (negated) {
+      weight *= -NEGATION_FACTOR;
+    }
+
+    terms.push({ term: negated ? `not ${token}` : token, weight: round(weight, 2) });
+  });
+
+  const total = terms.reduce((sum, term) => sum + term.weight, 0);
+  const compound = total / Math.sqrt(total * total + NORMALIZATION_ALPHA);
+
+  let sentiment = 'NEUTRAL';
+  if (compound >= POLARITY_THRESHOLD) {
+    sentiment = 'POSITIVE';
+  } else if (compound <= -POLARITY_THRESHOLD) {
+    sentiment = 'NEGATIVE';
+  }
+
+  return {
+    sentence,
+    sentiment,
+    score: round((compound + 1) / 2),
+    compound: round(compound),
+    terms
+  };
+}
+
+/**
+ * Aggregates scored sentences
+ * @param {Array} results - scoreSentence results
+ * @returns {Object|null} { overall: { sentiment, score }, breakdown, highlights, sentimentRatio }, or null without sentences
+ */
+function summarizeSentiment(results) {
+  if (results.length === 0) {
+    return null;
+  }
+
+  const positive = results.filter(r => r.sentiment === 'POSITIVE');
+  const negative = results.filter(r => r.sentiment === 'NEGATIVE');
+  const neutral = results.filter(r => r.sentiment === 'NEUTRAL');
+
+  const avgScore = results.reduce((sum, r) => sum + r.score, 0) / results.length;
+
+  // Overall tone needs both more sentences and a clear average on its side
+  let overallSentiment = 'NEUTRAL';
+  if (positive.length > negative.length && avgScore > 0.55) {
+    overallSentiment = 'POSITIVE';
+  } else if (negative.length > positive.length && avgScore < 0.45) {
+    overallSentiment = 'NEGATIVE';
+  }
+
+  return {
+    overall: {
+      sentiment: overallSentiment,
+      score: round(avgScore)
+    },
+    breakdown: {
+      positive: positive.length,
+      negative: negative.length,
+      neutral: neutral.length,
+      total: results.length
+    },
+    highlights: {
+      mostPositive: positive.length > 0 ? positive.reduce((max, r) => (r.score > max.score ? r : max)) : null,
+      mostNegative: negative.length > 0 ? negative.reduce((min, r) => (r.score < min.score ? r : min)) : null
+    },
+    sentimentRatio: {
+      positivePercent: Math.round((positive.length / results.length) * 100),
+      negativePercent: Math.round((negative.length / results.length) * 100),
+      neutralPercent: Math.round((neutral.length / results.length) * 100)
+    }
+  };
+}
+
+/**
+ * Counts and average tone of a group of scored sentences
+ * @param {Array} results - scoreSentence results
+ * @returns {{sentiment: string, score: number|null, tone: number|null, sentences: number, positive: number, negative: number, neutral: number}}
+ */
+function summarizeGroup(results) {
+  const summary = summarizeSentiment(results);
+  if (!summary) {
+    return { sentiment: 'NEUTRAL', score: null, tone: null, sentences: 0, positive: 0, negative: 0, neutral: 0 };
+  }
+
+  return {
+    sentiment: summary.overall.sentiment,
+    score: summary.overall.score,
+    tone: round(results.reduce((sum, r) => sum + r.compound, 0) / results.length),
+    sentences: results.length,
+    positive: summary.breakdown.positive,
+    negative: summary.breakdown.negative,
+    neutral: summary.breakdown.neutral
+  };
+}
+
+/**
+ * Scored sentences of one statement, from the cache when the text was seen before
+ */
+function scoreStatement(text) {
+  const key = String(text || '');
+  if (statementCache.has(key)) {
+    return statementCache.get(key);
+  }
+
+  const scored = splitIntoSentences(key).map(scoreSentence);
+  statementCache.set(key, scored);
+  if (statementCache.size > MAX_CACHED_STATEMENTS) {
+    statementCache.delete(statementCache.keys().next().value);
+  }
+  return scored;
+}
+
+/**
+ * Scores a whole call and breaks the tone down by speaker type, speaker and section
+ * The overall figures cover management (CEO, CFO and other executives) in
+ * both sections; analysts' questions are scored but kept out of them.
+ * @param {Object} transcript - Provider transcript (transcript_split, or transcript text)
+ * @returns {Promise<Object|null>} summarizeSentiment() of management sentences plus
+ *   { sentences, management, byType, bySpeaker, bySection }, or null when management said nothing scorable.
+ *   sentences: every scored sentence with { statementIndex, speaker, type, section }
+ */
+async function analyzeTranscriptSentiment(transcript) {
+  const statements = Array.isArray(transcript.transcript_split) && transcript.transcript_split.length > 0
+    ? transcript.transcript_split
+    : [{ role: 'Executive', text: transcript.transcript || '' }];
+
+  const sections = detectSections(statements);
+  const sectionOf = index => {
+    const section = sections.find(s => index >= s.start && index < s.end);
+    return section ? section.id : null;
+  };
+
+  const sentences = [];
+  for (let start = 0; start < statements.length; start += STATEMENT_BATCH_SIZE) {
+    if (start > 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    statements.slice(start, start + STATEMENT_BATCH_SIZE).forEach((statement, offset) => {
+      const statementIndex = start + offset;
+      const context = {
+        statementIndex,
+        speaker: statement.name || 'Unknown speaker',
+        type: classifySpeaker(statement),
+        section: sectionOf(statementIndex)
+      };
+      scoreStatement(statement.text).forEach(result => sentences.push({ ...result, ...context }));
+    });
+  }
+
+  const management = sentences.filter(sentence => MANAGEMENT_TYPES.includes(sentence.type));
+  const summary = summarizeSentiment(management);
+  if (!summary) {
+    return null;
+  }
+
+  const speakers = new Map();
+  sentences
+    .filter(sentence => sentence.type !== 'operator')
+    .forEach(sentence => {
+      if (!speakers.has(sentence.speaker)) {
+        speakers.set(sentence.speaker, { type: sentence.type, results: [] });
+      }
+      speakers.get(sentence.speaker).results.push(sentence);
+    });
+
+  return {
+    ...summary,
+    sentences,
+    management: summarizeGroup(management),
+    byType: Object.fromEntries(SPEAKER_TYPES.map(type => [type, summarizeGroup(sentences.filter(s => s.type === type))])),
+    bySpeaker: Array.from(speakers.entries()).map(([name, { type, results }]) => ({ name, type, ...summarizeGroup(results) })),
+    // Management tone in each section: scripted remarks against answers to analysts
+    bySection: sections.map(section => ({
+      id: section.id,
+      title: section.title,
+      ...summarizeGroup(management.filter(sentence => sentence.section === section.id))
+    }))
+  };
+}
+
+/**
+ * Scores every sentence of a text and aggregates them
+ * @param {string} text
+ * @returns {Object|null} summarizeSentiment() plus the scored `sentences`, or null without sentences
+ */
+function analyzeSentiment(text) {
+  const sentences = splitIntoSentences(text).map(scoreSentence);
+  const summary = summarizeSentiment(sentences);
+  return summary ? { ...summary, sentences } : null;
+}
+
+module.exports = {
+  LEXICON,
+  LEXICON_VERSION,
+  POLARITY_THRESHOLD,
+  splitIntoSentences,
+  scoreSentence,
+  summarizeSentiment,
+  summarizeGroup,
+  analyzeSentiment,
+  analyzeTranscriptSentiment
+};
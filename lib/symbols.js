@@ -0,0 +1,209 @@
+/**
+ * Shared Module: Symbol Master
+ *
+ * Loads the locally bundled symbol master (data/symbols.json) and provides
+ * ticker validation and type-ahead search. Every handler validates tickers
+ * here before they are placed into an upstream URL, and rejects unknown
+ * ones with a 400 before its own upstream calls.
+ *
+ * The master covers the companies the dashboard names and groups (sectors,
+ * fiscal years); it is not a complete listing. A well-formed ticker missing
+ * from it is confirmed with the market data provider (a few days of price
+ * history) by lookupSymbol(); the answer is cached, so each such ticker
+ * costs one lookup a day.
+ */
+
+const SYMBOLS = require('../data/symbols.json');
+const { settle } = require('./upstream');
+
+// Ticker symbols are 1-10 characters: letters, digits, "." and "-" (e.g. BRK.B)
+const TICKER_PATTERN = /^[A-Z][A-Z0-9.-]{0,9}$/;
+
+const SYMBOLS_BY_TICKER = new Map(SYMBOLS.map(symbol => [symbol.ticker, symbol]));
+
+// Provider lookups of tickers outside the master (24 hour TTL)
+const lookupCache = new Map();
+const LOOKUP_CACHE_TTL = 24 * 60 * 60 * 1000;
+const MAX_CACHED_LOOKUPS = 500;
+
+/**
+ * Normalizes raw ticker input (trimmed, upper case)
+ * @param {*} raw - Raw ticker value from a query string
+ * @returns {string} Normalized ticker
+ */
+function normalizeTicker(raw) {
+  return typeof raw === 'string' ? raw.trim().toUpperCase() : '';
+}
+
+/**
+ * Looks up a symbol in the master
+ * @param {string} ticker - Normalized ticker symbol
+ * @returns {Object|null} Symbol record or null if unknown
+ */
+function getSymbol(ticker) {
+  return SYMBOLS_BY_TICKER.get(ticker) || null;
+}
+
+/**
+ * Looks up a company name, falling back to the ticker itself
+ * @param {string} ticker - Normalized ticker symbol
+ * @returns {string} Company name
+ */
+function getCompanyName(ticker) {
+  const symbol = getSymbol(ticker);
+  return symbol ? symbol.name : ticker;
+}
+
+/**
+ * Validates a ticker's format and looks it up in the symbol master
+ * @param {*} raw - Raw ticker value from a query string
+ * @returns {{ticker: string, symbol: Object|null, error: string|null}} `symbol` is null for a
+ *   well-formed ticker the master doesn't list
+ */
+function validateTicker(raw) {
+  const ticker = normalizeTicker(raw);
+
+  if (!ticker) {
+    return { ticker, symbol: null, error: 'Ticker parameter is required' };
+  }
+
+  if (!TICKER_PATTERN.test(ticker)) {
+    return { ticker, symbol: null, error: `Malformed ticker symbol: ${String(raw).slice(0, 20)}` };
+  }
+
+  return { ticker, symbol: getSymbol(ticker), error: null };
+}
+
+/**
+ * Looks a ticker up in the master, or else with the provider
+ * A ticker the provider has prices for is returned as { ticker,
+ * name: ticker, exchange: null, sector: null, type: null, source: 'provider' }.
+ * @param {Object} provider - Market data provider
+ * @param {string} ticker - Well-formed, normalized ticker
+ * @returns {Promise<{symbol: Object|null, known: boolean|null}>} `known` is null when the
+ *   provider couldn't answer (an outage), false when it doesn't list the ticker
+ */
+async function lookupSymbol(provider, ticker) {
+  const listed = getSymbol(ticker);
+  if (listed) {
+    return { symbol: listed, known: true };
+  }
+
+  const cached = lookupCache.get(ticker);
+  if (cached && Date.now() - cached.timestamp < LOOKUP_CACHE_TTL) {
+    return cached.lookup;
+  }
+
+  // Price history is available even when the provider lacks its API key
+  if (!provider.history) {
+    return { symbol: null, known: null };
+  }
+
+  const result = await settle(provider.history(ticker, { range: '5d', interval: '1d' }));
+  if (!result.success) {
+    console.log(`Symbol lookup for ${ticker} failed:`, result.error.message);
+  }
+
+  const notFound = result.success ? result.data.bars.length === 0 : Boolean(result.error.notFound);
+  const lookup = result.success && !notFound
+    ? { symbol: { ticker, name: ticker, exchange: null, sector: null, type: null, source: 'provider' }, known: true }
+    : { symbol: null, known: notFound ? false : null };
+
+  // Only a definite answer is cached; an outage is retried next time
+  if (lookup.known !== null) {
+    lookupCache.set(ticker, { timestamp: Date.now(), lookup });
+    if (lookupCache.size > MAX_CACHED_LOOKUPS) {
+      const firstKey = lookupCache.keys().next().value;
+      lookupCache.delete(firstKey);
+    }
+  }
+  return lookup;
+}
+
+/**
+ * The first of a handler's tickers that neither the master nor the
+ * provider knows; a lookup the provider couldn't answer lets the ticker
+ * through, so the handler's own call reports the outage
+ * @param {Object} provider - Market data provider
+ * @param {string[]} tickers - Well-formed, normalized tickers
+ * @returns {Promise<string|null>}
+ */
+async function findUnknownTicker(provider, tickers) {
+  const unique = [...new Set(tickers)];
+  const lookups = await Promise.all(unique.map(ticker => lookupSymbol(provider, ticker)));
+  const index = lookups.findIndex(lookup => lookup.known === false);
+  return index === -1 ? null : unique[index];
+}
+
+/**
+ * Levenshtein edit distance, used for typo-tolerant ticker matching
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Scores how well a symbol matches a search query (0 = no match)
+ */
+function scoreSymbol(symbol, query) {
+  const ticker = symbol.ticker;
+  const name = symbol.name.toUpperCase();
+
+  if (ticker === query) return 100;
+  if (ticker.startsWith(query)) return 80 - (ticker.length - query.length);
+  if (name.startsWith(query)) return 70;
+  if (name.split(/[\s.,&()-]+/).some(word => word.startsWith(query))) return 60;
+  if (query.length >= 3 && name.includes(query)) return 40;
+  if (query.length >= 2 && query.length <= 5 && editDistance(ticker, query) === 1) return 30;
+
+  return 0;
+}
+
+/**
+ * Searches the symbol master by ticker prefix, company name and near-miss tickers
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} Matching symbol records, best match first
+ */
+function searchSymbols(query, limit = 10) {
+  const normalized = normalizeTicker(query);
+  if (!normalized) {
+    return [];
+  }
+
+  return SYMBOLS
+    .map(symbol => ({ symbol, score: scoreSymbol(symbol, normalized) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.symbol.ticker.localeCompare(b.symbol.ticker))
+    .slice(0, limit)
+    .map(match => match.symbol);
+}
+
+module.exports = {
+  SYMBOLS,
+  TICKER_PATTERN,
+  normalizeTicker,
+  getSymbol,
+  getCompanyName,
+  validateTicker,
+  lookupSymbol,
+  findUnknownTicker,
+  searchSymbols
+};
@@ -0,0 +1,169 @@
+/**
+ * Shared Module: Transcript Themes
+ *
+ * Named business themes (AI, cloud, margins, headcount, capex, guidance,
+ * macro) counted in a split earnings call transcript, with the mentions
+ * broken down by speaker type, plus the call's top keywords for management
+ * and for analysts. Dependency-free: each theme is a set of phrases
+ * matched on word boundaries, case-insensitively.
+ *
+ * - A mention is one phrase match; "AI infrastructure" and "data center" in
+ *   one sentence are two mentions of different themes
+ * - Rates are mentions per thousand words of the whole call, so calls of
+ *   different length compare fairly across quarters and competitors
+ */
+
+const { classifySpeaker, MANAGEMENT_TYPES, SPEAKER_TYPES } = require('./transcripts');
+const { tokenize, topKeywords } = require('./keywords');
+
+const THEMES = [
+  {
+    id: 'ai',
+    label: 'AI',
+    phrases: ['ai', 'artificial intelligence', 'machine learning', 'generative', 'genai', 'copilot', 'copilots',
+      'llm', 'llms', 'large language model', 'large language models', 'inference', 'gpu', 'gpus', 'gemini', 'agentic']
+  },
+  {
+    id: 'cloud',
+    label: 'Cloud',
+    phrases: ['cloud', 'azure', 'aws', 'saas', 'data center', 'data centers', 'datacenter', 'datacenters',
+      'hyperscaler', 'hyperscalers', 'backlog', 'capacity']
+  },
+  {
+    id: 'margins',
+    label: 'Margins',
+    phrases: ['margin', 'margins', 'gross profit', 'operating leverage', 'profitability', 'pricing', 'efficiency', 'efficiencies']
+  },
+  {
+    id: 'headcount',
+    label: 'Headcount',
+    phrases: ['headcount', 'hiring', 'hires', 'layoff', 'layoffs', 'workforce', 'employees', 'restructuring', 'severance']
+  },
+  {
+    id: 'capex',
+    label: 'Capex',
+    phrases: ['capex', 'capital expenditure', 'capital expenditures', 'capital spending', 'capital investment',
+      'capital investments', 'infrastructure investment', 'infrastructure investments']
+  },
+  {
+    id: 'guidance',
+    label: 'Guidance',
+    phrases: ['guidance', 'outlook', 'we expect', 'we anticipate', 'forecast', 'next quarter', 'full year', 'full-year']
+  },
+  {
+    id: 'macro',
+    label: 'Macro',
+    phrases: ['macro', 'macroeconomic', 'tariff', 'tariffs', 'inflation', 'interest rates', 'foreign exchange',
+      'currency', 'recession', 'consumer spending', 'headwinds']
+  }
+];
+
+const KEYWORD_LIMIT = 15;
+
+function round(value, decimals = 2) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(decimals)) : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One pattern per theme; longer phrases first so "data centers" wins over "data center"
+const THEME_PATTERNS = new Map(THEMES.map(theme => {
+  const alternatives = [...theme.phrases]
+    .sort((a, b) => b.length - a.length)
+    .map(phrase => escapeRegExp(phrase).replace(/[ -]/g, '[\\s-]+'));
+  return [theme.id, new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'gi')];
+}));
+
+/**
+ * Theme mentions in one text
+ * @param {string} text
+ * @returns {Map<string, string[]>} Theme id -> matched phrases (lowercase)
+ */
+function matchThemes(text) {
+  const matches = new Map();
+
+  for (const [id, pattern] of THEME_PATTERNS) {
+    const found = String(text || '').match(pattern);
+    if (found) {
+      matches.set(id, found.map(phrase => phrase.toLowerCase().replace(/[\s-]+/g, ' ')));
+    }
+  }
+  return matches;
+}
+
+/**
+ * Counts every theme in a transcript, by speaker type
+ * @param {Array<{name?: string, role?: string, text?: string}>} statements - transcript_split
+ * @returns {{totalWords: number, wordsByType: Object, themes: Array}} Themes in THEMES order, each
+ *   { id, label, mentions, perThousandWords, byType: { ceo, cfo, executive, analyst, operator }, phrases: [{ phrase, count }] }
+ */
+function countThemes(statements) {
+  const emptyByType = () => Object.fromEntries(SPEAKER_TYPES.map(type => [type, 0]));
+  const wordsByType = emptyByType();
+  const tallies = new Map(THEMES.map(theme => [theme.id, { byType: emptyByType(), phrases: new Map() }]));
+
+  for (const statement of statements || []) {
+    const type = classifySpeaker(statement);
+    wordsByType[type] += tokenize(statement.text).length;
+
+    for (const [id, phrases] of matchThemes(statement.text)) {
+      const tally = tallies.get(id);
+      tally.byType[type] += phrases.length;
+      phrases.forEach(phrase => tally.phrases.set(phrase, (tally.phrases.get(phrase) || 0) + 1));
+    }
+  }
+
+  const totalWords = Object.values(wordsByType).reduce((sum, words) => sum + words, 0);
+
+  return {
+    totalWords,
+    wordsByType,
+    themes: THEMES.map(theme => {
+      const { byType, phrases } = tallies.get(theme.id);
+      const mentions = Object.values(byType).reduce((sum, count) => sum + count, 0);
+      return {
+        id: theme.id,
+        label: theme.label,
+        mentions,
+        perThousandWords: totalWords > 0 ? round((mentions / totalWords) * 1000) : null,
+        byType,
+        phrases: Array.from(phrases.entries())
+          .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+          .map(([phrase, count]) => ({ phrase, count }))
+      };
+    })
+  };
+}
+
+/**
+ * Themes and top keywords of one call
+ * @param {Object} transcript - Provider transcript (transcript_split, or transcript text)
+ * @returns {Object} { totalWords, wordsByType, themes, keywords: { management, analysts } }
+ *   An unsplit transcript counts as management text throughout.
+ */
+function analyzeTopics(transcript) {
+  const statements = Array.isArray(transcript.transcript_split) && transcript.transcript_split.length > 0
+    ? transcript.transcript_split
+    : [{ role: 'Executive', text: transcript.transcript || '' }];
+
+  const textsOf = types => statements
+    .filter(statement => types.includes(classifySpeaker(statement)))
+    .map(statement => statement.text || '');
+
+  return {
+    ...countThemes(statements),
+    keywords: {
+      management: topKeywords(textsOf(MANAGEMENT_TYPES), { limit: KEYWORD_LIMIT }),
+      analysts: topKeywords(textsOf(['analyst']), { limit: KEYWORD_LIMIT })
+    }
+  };
+}
+
+module.exports = {
+  THEMES,
+  matchThemes,
+  countThemes,
+  analyzeTopics
+};
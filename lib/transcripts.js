@@ -0,0 +1,178 @@
+/**
+ * Shared Module: Earnings Call Transcripts
+ *
+ * Structure of a split transcript (transcript_split: [{ name, role, text }]):
+ * who each speaker is and where the prepared remarks end and the Q&A
+ * begins.
+ *
+ * Speaker types come from the role text: "ceo", "cfo", "executive" (any
+ * other company speaker, including investor relations), "analyst" and
+ * "operator". The Q&A starts at the operator's hand-over ("we will now
+ * begin the question-and-answer session", "our first question comes
+ * from..."), or at the first analyst statement when there is no hand-over.
+ */
+
+const { UpstreamError, settle } = require('./upstream');
+
+const SPEAKER_TYPES = ['ceo', 'cfo', 'executive', 'analyst', 'operator'];
+const MANAGEMENT_TYPES = ['ceo', 'cfo', 'executive'];
+
+// Earliest fiscal year a call can be requested for
+const MIN_CALL_YEAR = 2000;
+
+// Operator phrases that open the Q&A
+const QA_START_PATTERN = /question[- ]and[- ]answer|q\s*&\s*a|first question|open (the call|the line|it up) for questions/i;
+
+/**
+ * Classifies a speaker from their name and role
+ * @param {{name?: string, role?: string}} statement - Transcript statement
+ * @returns {string} One of SPEAKER_TYPES
+ */
+function classifySpeaker({ name = '', role = '' }) {
+  const text = (role || '').toLowerCase();
+
+  if (/operator/.test(text) || /^operator$/i.test(name || '')) return 'operator';
+  if (/analyst/.test(text)) return 'analyst';
+  if (/chief executive|\bceo\b/.test(text)) return 'ceo';
+  if (/chief financial|\bcfo\b/.test(text)) return 'cfo';
+  return 'executive';
+}
+
+/**
+ * Index of the statement that opens the Q&A, or -1 when there is none
+ * @param {Array<{name?: string, role?: string, text?: string}>} statements
+ * @returns {number}
+ */
+function findQaStart(statements) {
+  const types = statements.map(classifySpeaker);
+
+  const handOver = statements.findIndex((statement, index) =>
+    types[index] === 'operator' && QA_START_PATTERN.test(statement.text || '')
+  );
+  if (handOver !== -1) {
+    return handOver;
+  }
+
+  // No hand-over: start at the first analyst, or the operator introducing them
+  const firstAnalyst = types.indexOf('analyst');
+  if (firstAnalyst === -1) {
+    return -1;
+  }
+  return firstAnalyst > 0 && types[firstAnalyst - 1] === 'operator' ? firstAnalyst - 1 : firstAnalyst;
+}
+
+/**
+ * Splits a transcript into prepared remarks and Q&A
+ * @param {Array} statements - transcript_split
+ * @returns {Array<{id: string, title: string, start: number, end: number}>}
+ *   Sections in call order; each covers statements[start, end)
+ */
+function detectSections(statements) {
+  if (!Array.isArray(statements) || statements.length === 0) {
+    return [];
+  }
+
+  const qaStart = findQaStart(statements);
+  const sections = [];
+
+  if (qaStart !== 0) {
+    sections.push({ id: 'prepared', title: 'Prepared Remarks', start: 0, end: qaStart === -1 ? statements.length : qaStart });
+  }
+  if (qaStart !== -1) {
+    sections.push({ id: 'qa', title: 'Q&A', start: qaStart, end: statements.length });
+  }
+  return sections;
+}
+
+/**
+ * Lists the distinct speakers in call order with their type and statement count
+ * @param {Array} statements - transcript_split
+ * @returns {Array<{name: string, role: string|null, type: string, statements: number}>}
+ */
+function listSpeakers(statements) {
+  const speakers = new Map();
+
+  for (const statement of statements || []) {
+    const name = statement.name || 'Unknown speaker';
+    if (!speakers.has(name)) {
+      speakers.set(name, { name, role: statement.role || null, type: classifySpeaker(statement), statements: 0 });
+    }
+    speakers.get(name).statements++;
+  }
+
+  return Array.from(speakers.values());
+}
+
+/**
+ * Resolves a specific call from year and quarter query parameters
+ * @param {Object} query - Request query
+ * @param {Object} [params] - Parameter names, e.g. { year: 'compareYear', quarter: 'compareQuarter' }
+ * @returns {{call: {year: number, quarter: number}|null, error: string|null}} call is null for the latest call
+ */
+function resolveCallRequest(query, params = { year: 'year', quarter: 'quarter' }) {
+  const year = query[params.year];
+  const quarter = query[params.quarter];
+
+  if (year === undefined && quarter === undefined) {
+    return { call: null, error: null };
+  }
+  if (year === undefined || quarter === undefined) {
+    return { call: null, error: `Provide both ${params.year} and ${params.quarter}, e.g. ${params.year}=2025&${params.quarter}=3` };
+  }
+
+  const parsedYear = Number(year);
+  const parsedQuarter = Number(quarter);
+  if (!Number.isInteger(parsedYear) || parsedYear < MIN_CALL_YEAR || parsedYear > new Date().getFullYear() + 2) {
+    return { call: null, error: `${params.year} must be a fiscal year from ${MIN_CALL_YEAR}` };
+  }
+  if (!Number.isInteger(parsedQuarter) || parsedQuarter < 1 || parsedQuarter > 4) {
+    return { call: null, error: `${params.quarter} must be 1, 2, 3 or 4` };
+  }
+  return { call: { year: parsedYear, quarter: parsedQuarter }, error: null };
+}
+
+/**
+ * Texts of the management statements in a transcript (CEO, CFO and other
+ * executives), or the full text when the transcript is not split
+ * @param {Object} transcript - Provider transcript
+ * @returns {string[]}
+ */
+function managementTexts(transcript) {
+  if (Array.isArray(transcript.transcript_split) && transcript.transcript_split.length > 0) {
+    return transcript.transcript_split
+      .filter(statement => MANAGEMENT_TYPES.includes(classifySpeaker(statement)))
+      .map(statement => statement.text || '');
+  }
+  return transcript.transcript ? [transcript.transcript] : [];
+}
+
+/**
+ * Fetches a transcript, or null when the provider has none for that call
+ * Only a vendor not-found means "no call"; a rejected API key, a bad
+ * request, an unreadable response, outages and rate limits still throw.
+ * @param {Object} provider - Market data provider
+ * @param {string} ticker - Stock ticker
+ * @param {{year: number, quarter: number}|null} call - Fiscal quarter, or null for the latest call
+ * @returns {Promise<Object|null>}
+ */
+async function fetchTranscript(provider, ticker, call) {
+  const result = await settle(provider.transcript(ticker, call || {}));
+  if (result.success) {
+    return result.data;
+  }
+  if (result.error instanceof UpstreamError && result.error.notFound) {
+    return null;
+  }
+  throw result.error;
+}
+
+module.exports = {
+  SPEAKER_TYPES,
+  MANAGEMENT_TYPES,
+  classifySpeaker,
+  detectSections,
+  listSpeakers,
+  resolveCallRequest,
+  managementTexts,
+  fetchTranscript
+};
@@ -0,0 +1,337 @@
+/**
+ * Shared Module: Upstream HTTP Client
+ *
+ * Single client used by every handler to call third-party APIs (API Ninjas,
+ * Yahoo Finance). Provides:
+ * - Configurable per-attempt timeouts, plus a deadline for the whole call
+ *   (queueing, every attempt and the waits between them)
+ * - Exponential-backoff retries on 429, 5xx, timeouts and network errors
+ * - `Retry-After` handling (seconds or HTTP date)
+ * - A per-key concurrency limiter so bursts queue instead of tripping rate limits
+ * - One error type (UpstreamError) for every failure mode
+ *
+ * Environment Variables (optional):
+ * - UPSTREAM_TIMEOUT_MS: Default request timeout (default 10000)
+ * - UPSTREAM_MAX_RETRIES: Default retry count (default 2, also used for a value
+ *   that is not a whole number of at least 0)
+ * - UPSTREAM_MAX_CONCURRENCY: Default concurrent requests per key (default 4)
+ * - UPSTREAM_DEADLINE_MS: Default deadline for a call including retries
+ *   (default twice the call's timeout)
+ */
+
+const https = require('https');
+
+/**
+ * Retry count from UPSTREAM_MAX_RETRIES; 0 is allowed, anything that
+ * isn't a whole number of at least 0 falls back to the default
+ */
+function parseRetries(value, fallback) {
+  const retries = parseInt(value, 10);
+  return Number.isFinite(retries) && retries >= 0 ? retries : fallback;
+}
+
+const DEFAULTS = {
+  timeout: parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 10000,
+  retries: parseRetries(process.env.UPSTREAM_MAX_RETRIES, 2),
+  maxConcurrent: parseInt(process.env.UPSTREAM_MAX_CONCURRENCY, 10) || 4,
+  deadline: parseInt(process.env.UPSTREAM_DEADLINE_MS, 10) || null,
+  baseDelay: 250,        // First retry waits ~250ms, then ~500ms, ~1s...
+  maxDelay: 8000         // Upper bound for backoff and Retry-After waits
+};
+
+const API_NINJAS_HOST = 'api.api-ninjas.com';
+
+/**
+ * Error raised for every failed upstream call
+ *
+ * code is one of:
+ * - TIMEOUT: no response within the timeout
+ * - NETWORK: connection-level failure
+ * - HTTP: non-2xx response (see statusCode)
+ * - PARSE: response body was not valid JSON
+ */
+class UpstreamError extends Error {
+  constructor(message, { code, statusCode = null, hostname, path, attempts = 1, body = null, retryAfterMs = null }) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.hostname = hostname;
+    this.path = path;
+    this.attempts = attempts;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Whether repeating the request could succeed
+   */
+  get retryable() {
+    if (this.code === 'TIMEOUT' || this.code === 'NETWORK') return true;
+    if (this.code === 'HTTP') return this.statusCode === 429 || this.statusCode >= 500;
+    return false;
+  }
+
+  /**
+   * Whether the vendor has nothing for the request (HTTP 404, or an empty
+   * result the provider reports as one); auth, bad request and parse
+   * failures are not
+   */
+  get notFound() {
+    return this.code === 'HTTP' && this.statusCode === 404;
+  }
+
+  /**
+   * HTTP status a handler should return when surfacing this error
+   * A vendor 404 passes through, e.g. for a filing or call it doesn't have.
+   */
+  get httpStatus() {
+    if (this.code === 'TIMEOUT') return 504;
+    return this.notFound ? 404 : 502;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      statusCode: this.statusCode,
+      hostname: this.hostname,
+      attempts: this.attempts,
+      message: this.message
+    };
+  }
+}
+
+// Per-key concurrency limiter state: key -> { active, queue }
+const limiters = new Map();
+
+/**
+ * Runs a task once a slot for the given key is free
+ * A finishing task hands its slot straight to the next queued task, so a
+ * caller arriving in between can't take it too and exceed maxConcurrent.
+ * @param {string} key - Limiter key (e.g. hostname + API key)
+ * @param {number} maxConcurrent - Slots available for the key
+ * @param {Function} task - Async function to run
+ * @returns {Promise<*>} Task result
+ */
+async function withLimit(key, maxConcurrent, task) {
+  if (!limiters.has(key)) {
+    limiters.set(key, { active: 0, queue: [] });
+  }
+  const limiter = limiters.get(key);
+
+  if (limiter.active >= maxConcurrent) {
+    // Resolved with the slot of a finishing task, already counted as active
+    await new Promise(resolve => limiter.queue.push(resolve));
+  } else {
+    limiter.active++;
+  }
+
+  try {
+    return await task();
+  } finally {
+    const next = limiter.queue.shift();
+    if (next) {
+      next();
+    } else {
+      limiter.active--;
+      if (limiter.active === 0) {
+        limiters.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Parses a Retry-After header into milliseconds
+ * @param {string} header - Header value (delta-seconds or HTTP date)
+ * @returns {number|null} Delay in milliseconds or null if absent/invalid
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt: Retry-After if given, else exponential backoff with jitter
+ */
+function getRetryDelay(attempt, retryAfterMs, options) {
+  if (retryAfterMs !== null) {
+    return Math.min(retryAfterMs, options.maxDelay);
+  }
+
+  const backoff = options.baseDelay * Math.pow(2, attempt - 1);
+  const jitter = Math.random() * options.baseDelay;
+  return Math.min(backoff + jitter, options.maxDelay);
+}
+
+/**
+ * Performs a single HTTPS GET and parses the JSON body
+ * The timeout covers the whole attempt, from connecting to the last byte,
+ * so a response that trickles in slowly still times out.
+ */
+function requestOnce({ hostname, path, headers, timeout }) {
+  return new Promise((promiseResolve, promiseReject) => {
+    let deadline = null;
+    const resolve = (value) => {
+      clearTimeout(deadline);
+      promiseResolve(value);
+    };
+    const reject = (error) => {
+      clearTimeout(deadline);
+      promiseReject(error);
+    };
+
+    const req = https.request({ hostname, path, method: 'GET', headers }, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      // The connection dropping mid-body (including on the deadline)
+      res.on('error', (error) => {
+        reject(new UpstreamError(`Network error reading ${hostname}${path}: ${error.message}`, {
+          code: 'NETWORK', hostname, path
+        }));
+      });
+
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new UpstreamError(`Failed to parse JSON from ${hostname}${path}: ${error.message}`, {
+              code: 'PARSE', statusCode: res.statusCode, hostname, path
+            }));
+          }
+        } else {
+          reject(new UpstreamError(`Upstream error from ${hostname}: ${res.statusCode} ${res.statusMessage || ''}`.trim(), {
+            code: 'HTTP',
+            statusCode: res.statusCode,
+            hostname,
+            path,
+            body: data.slice(0, 500),
+            retryAfterMs: parseRetryAfter(res.headers['retry-after'])
+          }));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new UpstreamError(`Network error fetching ${hostname}${path}: ${error.message}`, {
+        code: 'NETWORK', hostname, path
+      }));
+    });
+
+    deadline = setTimeout(() => {
+      reject(new UpstreamError(`Timeout after ${timeout}ms fetching ${hostname}${path}`, {
+        code: 'TIMEOUT', hostname, path
+      }));
+      req.destroy();
+    }, timeout);
+
+    req.end();
+  });
+}
+
+/**
+ * Fetches JSON from an upstream API with timeout, retries and concurrency limiting
+ * @param {Object} params - Request parameters
+ * @param {string} params.hostname - Upstream host
+ * @param {string} params.path - Request path including query string
+ * @param {Object} [params.headers] - Request headers
+ * @param {number} [params.timeout] - Per-attempt timeout in ms
+ * @param {number} [params.deadline] - Deadline in ms for the whole call, retries and
+ *   waits included (default twice the timeout); no retry starts that can't finish by then
+ * @param {number} [params.retries] - Retries after the first attempt
+ * @param {number} [params.maxConcurrent] - Concurrent requests allowed for the limiter key
+ * @param {string} [params.limiterKey] - Limiter key (defaults to the hostname)
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {UpstreamError} When every attempt fails
+ */
+async function request(params) {
+  const options = { ...DEFAULTS, headers: {}, ...params };
+  const limiterKey = options.limiterKey || options.hostname;
+  const maxAttempts = parseRetries(options.retries, DEFAULTS.retries) + 1;
+  const deadlineAt = Date.now() + (options.deadline || options.timeout * 2);
+
+  // An attempt gets its timeout or what is left of the deadline, whichever is shorter
+  const attemptOnce = () => {
+    const remaining = deadlineAt - Date.now();
+    if (remaining <= 0) {
+      return Promise.reject(new UpstreamError(`Deadline passed before fetching ${options.hostname}${options.path}`, {
+        code: 'TIMEOUT', hostname: options.hostname, path: options.path
+      }));
+    }
+    return requestOnce({ ...options, timeout: Math.min(options.timeout, remaining) });
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await withLimit(limiterKey, options.maxConcurrent, attemptOnce);
+    } catch (error) {
+      error.attempts = attempt;
+
+      if (!error.retryable || attempt >= maxAttempts) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error.retryAfterMs, options);
+      if (Date.now() + delay >= deadlineAt) {
+        throw error;
+      }
+      console.log(`Retrying ${options.hostname}${options.path} in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxAttempts}): ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Fetches JSON from an API Ninjas endpoint
+ * @param {string} path - Endpoint path including query string
+ * @param {string} apiKey - API Ninjas API key
+ * @param {Object} [options] - Overrides passed to request()
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {UpstreamError} When every attempt fails
+ */
+function fetchFromApiNinjas(path, apiKey, options = {}) {
+  return request({
+    hostname: API_NINJAS_HOST,
+    path,
+    headers: { 'X-Api-Key': apiKey },
+    limiterKey: `${API_NINJAS_HOST}:${apiKey}`,
+    ...options
+  });
+}
+
+/**
+ * Converts a promise into a { success, data } / { success, error } result
+ * for call sites that treat an upstream failure as "no data"
+ * @param {Promise<*>} promise - Upstream request
+ * @returns {Promise<Object>} Settled result
+ */
+async function settle(promise) {
+  try {
+    return { success: true, data: await promise };
+  } catch (error) {
+    return { success: false, error };
+  }
+}
+
+module.exports = {
+  API_NINJAS_HOST,
+  UpstreamError,
+  request,
+  withLimit,
+  parseRetries,
+  fetchFromApiNinjas,
+  settle,
+  parseRetryAfter
+};
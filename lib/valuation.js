@@ -0,0 +1,154 @@
+/**
+ * Shared Module: Valuation Multiples
+ *
+ * Combines the latest share price with trailing-twelve-month (TTM)
+ * fundamentals, the sum of the last four quarterly filings, into market
+ * cap, enterprise value and the usual multiples, and places each company
+ * relative to the peer median.
+ *
+ * - Market cap uses the latest quarter's diluted weighted-average shares
+ * - Enterprise value = market cap + total debt - cash and equivalents
+ * - EBITDA = operating income + depreciation and amortization
+ * - P/E, EV/EBITDA and price-to-book are null when the denominator is not
+ *   positive (a multiple on losses or negative equity is not meaningful)
+ */
+
+const { freeCashFlow } = require('./ratios');
+
+const TTM_QUARTERS = 4;
+
+// Multiples reported per company and compared with the peer median
+const VALUATION_MULTIPLES = ['peRatio', 'priceToSales', 'evToEbitda', 'priceToBook', 'fcfYieldPercent'];
+
+function round(value, decimals = 2) {
+  return value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Sums a field over filings, or null if any filing lacks it
+ */
+function sumOf(filings, pick) {
+  const values = filings.map(pick);
+  return values.every(value => typeof value === 'number') ? values.reduce((sum, v) => sum + v, 0) : null;
+}
+
+/**
+ * numerator / denominator when the denominator is positive
+ */
+function positiveMultiple(numerator, denominator) {
+  return typeof numerator === 'number' && typeof denominator === 'number' && denominator > 0
+    ? round(numerator / denominator)
+    : null;
+}
+
+/**
+ * Median of the non-null values, or null when there are none
+ */
+function median(values) {
+  const sorted = values.filter(value => value !== null).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * TTM fundamentals from the last four quarterly filings
+ * @param {Object[]} filings - Filings, newest first
+ * @returns {Object|null} Null with fewer than four filings
+ */
+function trailingFundamentals(filings) {
+  if (filings.length < TTM_QUARTERS) {
+    return null;
+  }
+
+  const quarters = filings.slice(0, TTM_QUARTERS);
+  const income = filing => filing.income_statement || {};
+  const cashFlow = filing => filing.cash_flow || {};
+
+  return {
+    quarters: TTM_QUARTERS,
+    periodEndDate: quarters[0].filing_info?.period_end_date || null,
+    revenue: sumOf(quarters, f => income(f).total_revenue),
+    netIncome: sumOf(quarters, f => income(f).net_income),
+    ebitda: sumOf(quarters, f => {
+      const { operating_income: operating } = income(f);
+      const { depreciation_and_amortization: depreciation } = cashFlow(f);
+      return typeof operating === 'number' && typeof depreciation === 'number' ? operating + depreciation : null;
+    }),
+    freeCashFlow: sumOf(quarters, f => freeCashFlow(cashFlow(f))),
+    epsDiluted: round(sumOf(quarters, f => income(f).earnings_per_share_diluted))
+  };
+}
+
+/**
+ * Computes market cap, enterprise value and multiples for one company
+ * @param {Object} params
+ * @param {number|null} params.price - Latest share price
+ * @param {Object[]} params.filings - Recent quarterly filings, newest first
+ * @returns {Object} { marketCap, enterpriseValue, sharesDiluted, ttm, multiples }
+ */
+function computeValuation({ price, filings }) {
+  const latest = filings[0];
+  const balance = latest.balance_sheet || {};
+  const shares = (latest.income_statement || {}).weighted_average_shares_diluted;
+
+  const marketCap = typeof price === 'number' && typeof shares === 'number' ? price * shares : null;
+  const debt = balance.total_debt ?? balance.long_term_debt;
+  const enterpriseValue = marketCap !== null && typeof debt === 'number' && typeof balance.cash_and_equivalents === 'number'
+    ? marketCap + debt - balance.cash_and_equivalents
+    : null;
+  const ttm = trailingFundamentals(filings);
+
+  return {
+    marketCap,
+    enterpriseValue,
+    sharesDiluted: typeof shares === 'number' ? shares : null,
+    ttm,
+    multiples: {
+      peRatio: ttm ? positiveMultiple(price, ttm.epsDiluted) : null,
+      priceToSales: ttm ? positiveMultiple(marketCap, ttm.revenue) : null,
+      evToEbitda: ttm ? positiveMultiple(enterpriseValue, ttm.ebitda) : null,
+      priceToBook: positiveMultiple(marketCap, balance.stockholders_equity),
+      fcfYieldPercent: ttm && marketCap && ttm.freeCashFlow !== null
+        ? round((ttm.freeCashFlow / marketCap) * 100)
+        : null
+    }
+  };
+}
+
+/**
+ * Peer median of each multiple and each company's position relative to it
+ * Relative positions are percent above (+) or below (-) the median,
+ * measured against the median's magnitude.
+ * @param {Object[]} valuations - Outputs of computeValuation
+ * @returns {{peerMedian: Object, relativeToMedian: Object[]}} relativeToMedian is aligned with valuations
+ */
+function comparePeers(valuations) {
+  const peerMedian = {};
+  for (const key of VALUATION_MULTIPLES) {
+    peerMedian[key] = round(median(valuations.map(valuation => valuation.multiples[key])));
+  }
+
+  const relativeToMedian = valuations.map(valuation => {
+    const relative = {};
+    for (const key of VALUATION_MULTIPLES) {
+      const value = valuation.multiples[key];
+      const middle = peerMedian[key];
+      relative[key] = value !== null && middle !== null && middle !== 0
+        ? round(((value - middle) / Math.abs(middle)) * 100, 1)
+        : null;
+    }
+    return relative;
+  });
+
+  return { peerMedian, relativeToMedian };
+}
+
+module.exports = {
+  TTM_QUARTERS,
+  VALUATION_MULTIPLES,
+  computeValuation,
+  comparePeers
+};
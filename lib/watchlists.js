@@ -0,0 +1,115 @@
+/**
+ * Shared Module: Watchlists
+ *
+ * Defines the preset watchlists offered by the dashboard and resolves the
+ * `tickers` / `watchlist` query parameters accepted by the API handlers.
+ * Company names come from the symbol master; a ticker it doesn't list is
+ * named by its ticker.
+ * User-created watchlists live in the browser and are sent as `tickers`.
+ */
+
+const { TICKER_PATTERN, getCompanyName } = require('./symbols');
+
+// Preset watchlists (the first entry is the dashboard default)
+const WATCHLISTS = [
+  {
+    id: 'big-tech',
+    name: 'Big Tech',
+    tickers: ['AAPL', 'MSFT', 'GOOGL', 'META', 'AMZN']
+  },
+  {
+    id: 'cloud-peers',
+    name: 'Cloud Peers',
+    tickers: ['MSFT', 'AMZN', 'GOOGL', 'ORCL', 'IBM', 'CRM']
+  },
+  {
+    id: 'retail-competitors',
+    name: 'Retail Competitors',
+    tickers: ['AMZN', 'WMT', 'TGT', 'COST', 'HD']
+  }
+];
+
+const DEFAULT_WATCHLIST_ID = WATCHLISTS[0].id;
+const MAX_TICKERS = 25;
+
+/**
+ * Finds a preset watchlist by id
+ * @param {string} id - Watchlist id
+ * @returns {Object|null} Watchlist or null if unknown
+ */
+function getWatchlist(id) {
+  return WATCHLISTS.find(watchlist => watchlist.id === id) || null;
+}
+
+/**
+ * Expands a watchlist's tickers into { ticker, name } company entries
+ * @param {Object} watchlist - Watchlist definition
+ * @returns {Object} Watchlist with a `companies` array
+ */
+function describeWatchlist(watchlist) {
+  return {
+    id: watchlist.id,
+    name: watchlist.name,
+    tickers: watchlist.tickers,
+    companies: watchlist.tickers.map(ticker => ({ ticker, name: getCompanyName(ticker) }))
+  };
+}
+
+/**
+ * Resolves the companies requested by a query string.
+ * `tickers` (comma-separated) takes precedence over `watchlist`; with
+ * neither, the default watchlist is used.
+ * @param {Object} query - Request query parameters
+ * @returns {{companies: Array, watchlistId: string|null, error: string|null}}
+ */
+function resolveCompanies(query) {
+  if (query.tickers) {
+    const tickers = [...new Set(
+      String(query.tickers)
+        .split(',')
+        .map(ticker => ticker.trim().toUpperCase())
+        .filter(ticker => ticker.length > 0)
+    )];
+
+    if (tickers.length === 0) {
+      return { companies: [], watchlistId: null, error: 'At least one ticker is required' };
+    }
+
+    if (tickers.length > MAX_TICKERS) {
+      return { companies: [], watchlistId: null, error: `A maximum of ${MAX_TICKERS} tickers can be requested` };
+    }
+
+    const malformed = tickers.filter(ticker => !TICKER_PATTERN.test(ticker));
+    if (malformed.length > 0) {
+      return { companies: [], watchlistId: null, error: `Malformed ticker symbol(s): ${malformed.map(t => t.slice(0, 20)).join(', ')}` };
+    }
+
+    return {
+      companies: tickers.map(ticker => ({ ticker, name: getCompanyName(ticker) })),
+      watchlistId: null,
+      error: null
+    };
+  }
+
+  const watchlistId = query.watchlist || DEFAULT_WATCHLIST_ID;
+  const watchlist = getWatchlist(watchlistId);
+
+  if (!watchlist) {
+    return { companies: [], watchlistId: null, error: `Unknown watchlist: ${watchlistId}` };
+  }
+
+  return {
+    companies: describeWatchlist(watchlist).companies,
+    watchlistId: watchlist.id,
+    error: null
+  };
+}
+
+module.exports = {
+  WATCHLISTS,
+  DEFAULT_WATCHLIST_ID,
+  MAX_TICKERS,
+  getWatchlist,
+  describeWatchlist,
+  resolveCompanies
+};
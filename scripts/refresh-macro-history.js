@@ -0,0 +1,127 @@
+/**
+ * Script: Refresh Macro History
+ *
+ * Appends the monthly readings BLS has published since the last month in
+ * data/macro-history.json, so backtests keep economic data for recent
+ * dates (lib/macro-history.js treats a reading older than three months as
+ * unavailable). Existing months are left as they are.
+ *
+ * - inflation: 12-month change of CPI-U all items (CUUR0000SA0), from the
+ *   index values, rounded to one decimal as BLS publishes it
+ * - unemployment: seasonally adjusted unemployment rate (LNS14000000)
+ *
+ * Usage: node scripts/refresh-macro-history.js [--dry-run]
+ *
+ * Environment Variables (optional):
+ * - BLS_API_KEY: BLS registration key (raises the daily query limit)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { request } = require('../lib/upstream');
+
+const ARCHIVE_PATH = path.join(__dirname, '..', 'data', 'macro-history.json');
+const BLS_HOST = 'api.bls.gov';
+
+const SERIES = {
+  inflation: { id: 'CUUR0000SA0', yearOverYear: true },
+  unemployment: { id: 'LNS14000000', yearOverYear: false }
+};
+
+/**
+ * Monthly values of a BLS series from a year on, by "YYYY-MM"
+ * @returns {Promise<Map<string, number>>}
+ */
+async function fetchSeries(seriesId, startYear, endYear) {
+  const key = process.env.BLS_API_KEY ? `&registrationkey=${encodeURIComponent(process.env.BLS_API_KEY)}` : '';
+  const jsonData = await request({
+    hostname: BLS_HOST,
+    path: `/publicAPI/v2/timeseries/data/${seriesId}?startyear=${startYear}&endyear=${endYear}${key}`,
+    timeout: 30000
+  });
+
+  if (jsonData.status !== 'REQUEST_SUCCEEDED') {
+    throw new Error(`BLS request for ${seriesId} failed: ${(jsonData.message || []).join(' ') || jsonData.status}`);
+  }
+
+  const values = new Map();
+  for (const point of jsonData.Results.series[0].data) {
+    const value = parseFloat(point.value);
+    // M13 is the annual average; "-" marks a month that was not collected
+    if (/^M(0[1-9]|1[0-2])$/.test(point.period) && Number.isFinite(value)) {
+      values.set(`${point.year}-${point.period.slice(1)}`, value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Readings after a month, oldest first
+ */
+function newReadings(values, after, yearOverYear) {
+  return Array.from(values.keys())
+    .filter(period => period > after)
+    .sort()
+    .map(period => {
+      if (!yearOverYear) {
+        return { period, value: values.get(period) };
+      }
+      const yearBefore = `${Number(period.slice(0, 4)) - 1}${period.slice(4)}`;
+      return values.has(yearBefore)
+        ? { period, value: parseFloat(((values.get(period) / values.get(yearBefore) - 1) * 100).toFixed(1)) }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Writes the archive in its one-reading-per-line layout
+ */
+function formatArchive(archive) {
+  const indicators = Object.entries(archive).map(([indicator, { readings, ...details }]) => {
+    const detailLines = Object.entries(details).map(([name, value]) => `    ${JSON.stringify(name)}: ${JSON.stringify(value)},`);
+    const readingLines = readings.map(({ period, value }) => `      {"period": ${JSON.stringify(period)}, "value": ${value.toFixed(1)}}`);
+    return [
+      `  ${JSON.stringify(indicator)}: {`,
+      ...detailLines,
+      '    "readings": [',
+      readingLines.join(',\n'),
+      '    ]',
+      '  }'
+    ].join('\n');
+  });
+  return `{\n${indicators.join(',\n')}\n}\n`;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const archive = JSON.parse(fs.readFileSync(ARCHIVE_PATH, 'utf8'));
+  const endYear = new Date().getUTCFullYear();
+
+  for (const [indicator, { id, yearOverYear }] of Object.entries(SERIES)) {
+    const { readings } = archive[indicator];
+    const last = readings[readings.length - 1].period;
+    // A year-over-year change needs the index a year before the first new month
+    const startYear = Number(last.slice(0, 4)) - (yearOverYear ? 1 : 0);
+
+    const added = newReadings(await fetchSeries(id, startYear, endYear), last, yearOverYear);
+    readings.push(...added);
+    console.log(`${indicator}: ${added.length > 0 ? `added ${added.map(r => `${r.period} ${r.value}`).join(', ')}` : `no readings after ${last}`}`);
+  }
+
+  if (!dryRun) {
+    fs.writeFileSync(ARCHIVE_PATH, formatArchive(archive));
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Refreshing macro history failed:', error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  newReadings,
+  formatArchive
+};
@@ -0,0 +1,94 @@
+/**
+ * Rebalance dates, signal hits and the strategy's equity curve
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rebalanceIndices, runBacktest } = require('../lib/backtest');
+const { resolveModelRequest } = require('../lib/recommendation');
+
+/**
+ * Weekdays from one "YYYY-MM-DD" date to another
+ */
+function tradingDays(from, to) {
+  const days = [];
+  for (const day = new Date(`${from}T00:00:00Z`); day.toISOString().slice(0, 10) <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) days.push(day.toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+// Price flat within each month, so each month-start rebalance sees the
+// previous month's step as its trend and the next month's as its return
+const MONTH_PRICES = {
+  '2025-01': 100,
+  '2025-02': 110,
+  '2025-03': 121,
+  '2025-04': 133.1,
+  '2025-05': 119.79,
+  '2025-06': 107.811,
+  '2025-07': 110
+};
+const DATES = tradingDays('2025-01-02', '2025-07-03');
+const PRICES = DATES.map(date => MONTH_PRICES[date.slice(0, 7)]);
+
+// Trend only: above +5% is BUY, below -5% is SELL, otherwise HOLD
+const { model: TREND_MODEL } = resolveModelRequest({ weights: 'sentiment:0,priceTrend:1,economic:0' });
+
+test('rebalances start once a month of history is covered, then on each period\'s first trading day', () => {
+  const at = indices => indices.map(index => DATES[index]);
+  assert.deepEqual(at(rebalanceIndices(DATES, 1)), ['2025-02-03', '2025-03-03', '2025-04-01', '2025-05-01', '2025-06-02', '2025-07-01']);
+  assert.deepEqual(at(rebalanceIndices(DATES, 3)), ['2025-02-03', '2025-05-01']);
+
+  // A history starting mid-month first rebalances a month later, mid-month
+  const midMonth = tradingDays('2025-01-15', '2025-04-30');
+  assert.deepEqual(rebalanceIndices(midMonth, 1).map(index => midMonth[index]), ['2025-02-17', '2025-03-03', '2025-04-01']);
+  assert.deepEqual(rebalanceIndices(tradingDays('2025-01-02', '2025-01-31'), 1), []);
+});
+
+test('a BUY hits when the stock rises to the next rebalance and a SELL when it falls', () => {
+  const { signals, summary } = runBacktest({ dates: DATES, prices: PRICES, calls: [], benchmark: null }, { rebalance: 'monthly', model: TREND_MODEL });
+
+  assert.deepEqual(signals.map(row => [row.recommendation, row.forwardReturn, row.hit]), [
+    ['BUY', 10, true],
+    ['BUY', 10, true],
+    ['BUY', -10, false],
+    ['SELL', -10, true],
+    ['SELL', 2.03, false],
+    // HOLD makes no call
+    ['HOLD', 0, null]
+  ]);
+  assert.deepEqual(summary.hitRate, {
+    overall: { hits: 3, calls: 5, percent: 60 },
+    BUY: { hits: 2, calls: 3, percent: 66.7 },
+    SELL: { hits: 1, calls: 2, percent: 50 }
+  });
+  assert.equal(summary.exposurePercent, 50);
+});
+
+test('the strategy compounds only the days after a BUY, through the next rebalance', () => {
+  const { equity, summary } = runBacktest({ dates: DATES, prices: PRICES, calls: [], benchmark: null }, { rebalance: 'monthly', model: TREND_MODEL });
+  const on = (curve, date) => curve[equity.dates.indexOf(date)];
+
+  assert.equal(equity.dates[0], '2025-02-03');
+  assert.equal(equity.strategy[0], 100);
+  assert.equal(on(equity.strategy, '2025-03-03'), 110);
+  assert.equal(on(equity.strategy, '2025-04-01'), 121);
+  // April's BUY is held into May's first day, so it takes the drop
+  assert.equal(on(equity.strategy, '2025-05-01'), 108.9);
+  // In cash after the SELLs and the HOLD
+  assert.equal(equity.strategy[equity.strategy.length - 1], 108.9);
+
+  assert.equal(on(equity.buyAndHold, '2025-04-01'), 121);
+  assert.equal(equity.buyAndHold[equity.buyAndHold.length - 1], 100);
+  assert.equal(summary.strategy.totalReturn, 8.9);
+  assert.equal(summary.buyAndHold.totalReturn, 0);
+  assert.equal(summary.excessVsBuyAndHold, 8.9);
+});
+
+test('a history too short to rebalance twice gives no result', () => {
+  const dates = tradingDays('2025-01-02', '2025-02-28');
+  assert.equal(runBacktest({ dates, prices: dates.map(() => 100), calls: [], benchmark: null }, { rebalance: 'monthly', model: TREND_MODEL }), null);
+});
@@ -0,0 +1,90 @@
+/**
+ * Scheduled and past reports, day-after moves by report timing and the
+ * per-ticker report cache
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { dayAfterMove, buildEarningsCalendar, fetchEarningsCalendar } = require('../lib/calendar');
+
+// Thursday report date between Wednesday and Friday closes
+const BARS = [
+  { date: '2025-10-29', close: 100 },
+  { date: '2025-10-30', close: 110 },
+  { date: '2025-10-31', close: 121 }
+];
+
+test('a report before the open moves the report day close', () => {
+  assert.deepEqual(dayAfterMove(BARS, '2025-10-30', 'before-open'), {
+    fromDate: '2025-10-29', toDate: '2025-10-30', timing: 'before-open', movePercent: 10
+  });
+});
+
+test('a report after the close moves the next trading day close', () => {
+  assert.deepEqual(dayAfterMove(BARS, '2025-10-30', 'after-close'), {
+    fromDate: '2025-10-30', toDate: '2025-10-31', timing: 'after-close', movePercent: 10
+  });
+});
+
+test('without a timing the move spans the report day and the day after', () => {
+  assert.deepEqual(dayAfterMove(BARS, '2025-10-30'), {
+    fromDate: '2025-10-29', toDate: '2025-10-31', timing: null, movePercent: 21
+  });
+});
+
+test('a report on a non-trading day measures across it', () => {
+  const bars = [{ date: '2025-10-31', close: 100 }, { date: '2025-11-03', close: 95 }];
+  assert.equal(dayAfterMove(bars, '2025-11-01', 'before-open').movePercent, -5);
+  assert.equal(dayAfterMove(bars, '2025-11-01', 'after-close').movePercent, -5);
+  assert.equal(dayAfterMove(bars, '2025-11-01').movePercent, -5);
+});
+
+test('no move when the bars do not cover the report', () => {
+  assert.equal(dayAfterMove(BARS, '2025-10-31', 'after-close'), null);
+  assert.equal(dayAfterMove(BARS, '2025-10-29', 'before-open'), null);
+  assert.equal(dayAfterMove(BARS, '2025-10-29'), null);
+});
+
+test('reports are fetched once per ticker within the cache TTL', async () => {
+  let calls = 0;
+  const provider = {
+    async earningsCalendar(ticker) {
+      calls++;
+      return {
+        ticker,
+        reports: [{ date: '2025-10-30', timing: 'after-close', epsEstimate: 1, epsActual: 1.2, revenueEstimate: null, revenueActual: null }]
+      };
+    },
+    async history() {
+      return { ticker: 'CACHED', currency: 'USD', interval: '1d', bars: BARS };
+    }
+  };
+
+  const first = await fetchEarningsCalendar(provider, 'CACHED', { moves: false });
+  const second = await fetchEarningsCalendar(provider, 'CACHED');
+  assert.equal(calls, 1);
+  assert.equal(first.history[0].timing, 'after-close');
+  assert.equal(first.history[0].dayAfter, null);
+  assert.equal(second.history[0].dayAfter.movePercent, 10);
+});
+
+test('a past report without actuals stays in the history, not the schedule', () => {
+  const calendar = buildEarningsCalendar({
+    ticker: 'AAPL',
+    today: '2025-11-15',
+    reports: [
+      { date: '2026-01-29', timing: 'after-close', epsEstimate: 2.67, epsActual: null, revenueEstimate: null, revenueActual: null },
+      { date: '2025-10-30', timing: 'after-close', epsEstimate: 1.73, epsActual: null, revenueEstimate: 101280000000, revenueActual: null },
+      { date: '2025-07-31', timing: 'after-close', epsEstimate: 1.54, epsActual: 1.66, revenueEstimate: null, revenueActual: null }
+    ]
+  });
+
+  assert.deepEqual(calendar.upcoming.map(report => report.date), ['2026-01-29']);
+  assert.equal(calendar.next.date, '2026-01-29');
+  assert.deepEqual(calendar.history.map(report => report.date), ['2025-10-30', '2025-07-31']);
+  assert.equal(calendar.history[0].eps.outcome, null);
+  assert.equal(calendar.history[0].revenue.actual, null);
+  assert.equal(calendar.history[1].eps.outcome, 'beat');
+});
@@ -0,0 +1,67 @@
+/**
+ * Filing lookups: only a missing filing counts as "not filed"
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchFilings, fetchEarningsData, getMostRecentQuarter, previousQuarter } = require('../lib/earnings');
+const { UpstreamError } = require('../lib/upstream');
+
+function upstreamError(statusCode, code = 'HTTP') {
+  return new UpstreamError(`Upstream error: ${statusCode}`, { code, statusCode, hostname: 'api.api-ninjas.com', path: '/v1/earnings' });
+}
+
+/**
+ * Provider with filings for some quarters and an error for the rest
+ * @param {Object} filed - { "2025Q3": true, ... }
+ * @param {Function} failure - (period) => error thrown for quarters without a filing
+ */
+function stubProvider(filed, failure) {
+  const requested = [];
+  return {
+    requested,
+    async earnings(ticker, { year, quarter }) {
+      requested.push(`${year}Q${quarter}`);
+      if (filed[`${year}Q${quarter}`]) {
+        return { company_info: { ticker, fiscal_year: year, fiscal_quarter: quarter } };
+      }
+      throw failure({ year, quarter });
+    }
+  };
+}
+
+const RANGE = { from: { year: 2025, quarter: 1 }, to: { year: 2025, quarter: 3 } };
+
+test('quarters the vendor has no filing for are listed as missing', async () => {
+  const provider = stubProvider({ '2025Q1': true, '2025Q3': true }, () => upstreamError(404));
+  const { filings, missing } = await fetchFilings(provider, 'AAPL', RANGE);
+  assert.equal(filings.length, 2);
+  assert.deepEqual(missing, [{ year: 2025, quarter: 2 }]);
+});
+
+test('a rejected API key fails the series instead of dropping quarters', async () => {
+  for (const error of [upstreamError(401), upstreamError(403), upstreamError(400), upstreamError(200, 'PARSE')]) {
+    const provider = stubProvider({ '2025Q1': true, '2025Q3': true }, () => error);
+    await assert.rejects(fetchFilings(provider, 'AAPL', RANGE), error);
+  }
+});
+
+test('the latest-filing probe steps back past quarters not yet filed', async () => {
+  const expected = getMostRecentQuarter('AAPL');
+  const filed = previousQuarter(expected);
+  const provider = stubProvider({ [`${filed.year}Q${filed.quarter}`]: true }, () => upstreamError(404));
+
+  const filing = await fetchEarningsData(provider, 'AAPL');
+  assert.equal(filing.company_info.fiscal_quarter, filed.quarter);
+});
+
+test('a 401 on the latest-filing probe fails instead of stepping back', async () => {
+  const expected = getMostRecentQuarter('AAPL');
+  const older = previousQuarter(expected);
+  const provider = stubProvider({ [`${older.year}Q${older.quarter}`]: true }, () => upstreamError(401));
+
+  await assert.rejects(fetchEarningsData(provider, 'AAPL'), error => error.statusCode === 401);
+  assert.deepEqual(provider.requested, [`${expected.year}Q${expected.quarter}`]);
+});
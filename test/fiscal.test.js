@@ -0,0 +1,66 @@
+/**
+ * Fiscal quarters for September, June and January ("start" label) year-ends
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getFiscalCalendar,
+  fiscalQuarterForDate,
+  fiscalQuarterEndMonth,
+  fiscalQuarterReportedOn,
+  latestFiledQuarter
+} = require('../lib/fiscal');
+
+const date = text => new Date(`${text}T00:00:00Z`);
+const quarterOn = (ticker, text) => fiscalQuarterForDate(date(text), getFiscalCalendar(ticker));
+
+test('calendars come from the symbol master, December by default', () => {
+  assert.deepEqual(getFiscalCalendar('AAPL'), { yearEndMonth: 9, yearLabel: 'end' });
+  assert.deepEqual(getFiscalCalendar('TGT'), { yearEndMonth: 1, yearLabel: 'start' });
+  assert.deepEqual(getFiscalCalendar('ZZZZ'), { yearEndMonth: 12, yearLabel: 'end' });
+});
+
+test('a September year-end is named after the year it ends in', () => {
+  // Apple's FY2025 runs October 2024 to September 2025
+  assert.deepEqual(quarterOn('AAPL', '2024-10-15'), { year: 2025, quarter: 1 });
+  assert.deepEqual(quarterOn('AAPL', '2025-01-15'), { year: 2025, quarter: 2 });
+  assert.deepEqual(quarterOn('AAPL', '2025-09-30'), { year: 2025, quarter: 4 });
+  assert.equal(fiscalQuarterEndMonth({ year: 2025, quarter: 1 }, getFiscalCalendar('AAPL')), '2024-12');
+  assert.equal(fiscalQuarterEndMonth({ year: 2025, quarter: 4 }, getFiscalCalendar('AAPL')), '2025-09');
+});
+
+test('a June year-end starts the next fiscal year in July', () => {
+  // Microsoft's FY2026 runs July 2025 to June 2026
+  assert.deepEqual(quarterOn('MSFT', '2025-06-30'), { year: 2025, quarter: 4 });
+  assert.deepEqual(quarterOn('MSFT', '2025-07-01'), { year: 2026, quarter: 1 });
+  assert.deepEqual(quarterOn('MSFT', '2026-01-15'), { year: 2026, quarter: 3 });
+  assert.equal(fiscalQuarterEndMonth({ year: 2026, quarter: 1 }, getFiscalCalendar('MSFT')), '2025-09');
+});
+
+test('a January year-end labelled "start" is named after the year it starts in', () => {
+  // Target's fiscal 2025 runs February 2025 to January 2026
+  assert.deepEqual(quarterOn('TGT', '2025-02-03'), { year: 2025, quarter: 1 });
+  assert.deepEqual(quarterOn('TGT', '2025-11-15'), { year: 2025, quarter: 4 });
+  assert.deepEqual(quarterOn('TGT', '2026-01-31'), { year: 2025, quarter: 4 });
+  assert.equal(fiscalQuarterEndMonth({ year: 2025, quarter: 1 }, getFiscalCalendar('TGT')), '2025-04');
+  assert.equal(fiscalQuarterEndMonth({ year: 2025, quarter: 4 }, getFiscalCalendar('TGT')), '2026-01');
+
+  // NVIDIA also ends in January but names the year after its end
+  assert.deepEqual(quarterOn('NVDA', '2025-02-03'), { year: 2026, quarter: 1 });
+});
+
+test('a report covers the quarter before the one it is released in', () => {
+  assert.deepEqual(fiscalQuarterReportedOn(date('2025-10-30'), getFiscalCalendar('AAPL')), { year: 2025, quarter: 4 });
+  assert.deepEqual(fiscalQuarterReportedOn(date('2025-07-29'), getFiscalCalendar('MSFT')), { year: 2025, quarter: 4 });
+  assert.deepEqual(fiscalQuarterReportedOn(date('2025-03-05'), getFiscalCalendar('TGT')), { year: 2024, quarter: 4 });
+});
+
+test('the latest filed quarter waits for the filing delay after quarter end', () => {
+  const apple = getFiscalCalendar('AAPL');
+  // Three weeks after September's quarter end it is not filed yet
+  assert.deepEqual(latestFiledQuarter(apple, date('2025-10-20')), { year: 2025, quarter: 3 });
+  assert.deepEqual(latestFiledQuarter(apple, date('2025-11-05')), { year: 2025, quarter: 4 });
+});
@@ -0,0 +1,48 @@
+/**
+ * Guidance figures parsed from forward-looking management sentences
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractGuidance } = require('../lib/guidance');
+
+function figuresOf(text) {
+  return extractGuidance({ transcript_split: [{ name: 'Jane Doe', role: 'CFO', text }] }).figures
+    .map(({ metric, measure, direction, low, high, unit }) => ({ metric, measure, direction, low, high, unit }));
+}
+
+test('a range is read with its unit and metric', () => {
+  assert.deepEqual(figuresOf('We expect revenue between 56 and 59 billion dollars next quarter.'), [
+    { metric: 'revenue', measure: 'level', direction: null, low: 56, high: 59, unit: 'billion' }
+  ]);
+});
+
+test('numbers with different units are two figures, not a range', () => {
+  assert.deepEqual(figuresOf('We expect an operating margin of 30% and 12 billion in capex next year.'), [
+    { metric: 'operating-margin', measure: 'level', direction: null, low: 30, high: 30, unit: 'percent' },
+    { metric: 'capex', measure: 'level', direction: null, low: 12, high: 12, unit: 'billion' }
+  ]);
+});
+
+test('a range is never read backwards', () => {
+  const figures = figuresOf('We expect gross margin of 10 percent to 8 percent next quarter.');
+  assert.ok(figures.every(figure => figure.low === figure.high));
+});
+
+test('a declining growth rate is negative', () => {
+  assert.deepEqual(figuresOf('We expect revenue to decline 2-3% next quarter.'), [
+    { metric: 'revenue', measure: 'growth', direction: 'down', low: -3, high: -2, unit: 'percent' }
+  ]);
+});
+
+test('a metric named after the figure is found', () => {
+  assert.deepEqual(figuresOf('We expect mid to high single digit revenue growth for the full year.'), [
+    { metric: 'revenue', measure: 'growth', direction: 'up', low: 4, high: 9, unit: 'percent' }
+  ]);
+  assert.deepEqual(figuresOf('We expect 30% gross margin and 12 to 14 billion dollars of revenue for the full year.'), [
+    { metric: 'gross-margin', measure: 'level', direction: null, low: 30, high: 30, unit: 'percent' },
+    { metric: 'revenue', measure: 'level', direction: null, low: 12, high: 14, unit: 'billion' }
+  ]);
+});
@@ -0,0 +1,24 @@
+/**
+ * Price basis: one series never mixes bases, and compared series share one
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { selectPrices, sharedPriceBasis } = require('../lib/history');
+
+const ADJUSTED = [{ close: 10, adjClose: 9.5 }, { close: 11, adjClose: 10.5 }];
+const UNADJUSTED = [{ close: 20, adjClose: 19 }, { close: 21, adjClose: null }];
+
+test('a series without adjusted closes on every bar falls back to the close', () => {
+  assert.deepEqual(selectPrices(ADJUSTED, 'adjusted'), { basis: 'adjusted', prices: [9.5, 10.5] });
+  assert.deepEqual(selectPrices(UNADJUSTED, 'adjusted'), { basis: 'close', prices: [20, 21] });
+  assert.deepEqual(selectPrices(ADJUSTED, 'close'), { basis: 'close', prices: [10, 11] });
+});
+
+test('one series without adjusted closes moves every compared series to the close', () => {
+  assert.equal(sharedPriceBasis([ADJUSTED, ADJUSTED], 'adjusted'), 'adjusted');
+  assert.equal(sharedPriceBasis([ADJUSTED, UNADJUSTED], 'adjusted'), 'close');
+  assert.equal(sharedPriceBasis([ADJUSTED], 'close'), 'close');
+});
@@ -0,0 +1,129 @@
+/**
+ * Indicator math against published and hand-computed reference values
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sma, ema, rsi, macd, bollinger, atr, obv, warmupBars, parseIndicatorList, computeIndicators } = require('../lib/indicators');
+
+// StockCharts "Moving Averages - Simple and Exponential" worksheet (10-day)
+const EMA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+  22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63,
+  23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17
+];
+const EMA10_REFERENCE = [
+  22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28,
+  23.34, 23.43, 23.51, 23.53, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92
+];
+
+// StockCharts "Relative Strength Index" worksheet (14-day, Wilder smoothing)
+const RSI_CLOSES = [
+  44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826,
+  45.8931, 46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439,
+  46.2122, 46.2521, 45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672,
+  43.4205, 42.6628, 43.1314
+];
+const RSI14_REFERENCE = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+  54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77
+];
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected}, got ${actual}`);
+}
+
+test('sma averages the trailing window and is null before it fills', () => {
+  assert.deepEqual(sma([1, 2, 3, 4, 5, 6], 3), [null, null, 2, 3, 4, 5]);
+
+  const reference = [22.22, 22.21, 22.23, 22.26, 22.30];
+  sma(EMA_CLOSES, 10).slice(9, 14).forEach((value, i) => assertClose(value, reference[i], 0.005, `SMA10 day ${i + 10}`));
+});
+
+test('ema is seeded with the SMA and matches the StockCharts worksheet', () => {
+  const series = ema(EMA_CLOSES, 10);
+  assert.deepEqual(series.slice(0, 9), new Array(9).fill(null));
+  series.slice(9).forEach((value, i) => assertClose(value, EMA10_REFERENCE[i], 0.005, `EMA10 day ${i + 10}`));
+});
+
+test('rsi matches the StockCharts Wilder worksheet', () => {
+  const series = rsi(RSI_CLOSES, 14);
+  assert.deepEqual(series.slice(0, 14), new Array(14).fill(null));
+  series.slice(14).forEach((value, i) => assertClose(value, RSI14_REFERENCE[i], 0.005, `RSI14 day ${i + 15}`));
+});
+
+test('rsi is 100 without losses', () => {
+  assert.equal(rsi([1, 2, 3, 4], 3)[3], 100);
+});
+
+test('macd of a straight line is the gap between the EMA lags', () => {
+  // An SMA-seeded EMA of a line lags it by exactly (period - 1) / 2, so
+  // MACD is (26 - 1) / 2 - (12 - 1) / 2 = 7 and the histogram is 0
+  const closes = Array.from({ length: 60 }, (_, i) => 100 + i);
+  const { macd: line, signal, histogram } = macd(closes);
+
+  assert.equal(line[24], null);
+  line.slice(25).forEach((value, i) => assertClose(value, 7, 1e-9, `MACD bar ${i + 25}`));
+  assert.equal(signal[32], null);
+  signal.slice(33).forEach((value, i) => assertClose(value, 7, 1e-9, `signal bar ${i + 33}`));
+  histogram.slice(33).forEach((value, i) => assertClose(value, 0, 1e-9, `histogram bar ${i + 33}`));
+});
+
+test('bollinger bands sit two population standard deviations from the SMA', () => {
+  // Mean 5, population standard deviation 2
+  const { upper, middle, lower } = bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8);
+  assert.equal(middle[7], 5);
+  assert.equal(upper[7], 9);
+  assert.equal(lower[7], 1);
+  assert.equal(upper[6], null);
+});
+
+test('atr uses the true range and Wilder smoothing', () => {
+  const bars = [
+    { high: 10, low: 8, close: 9 },    // TR 2
+    { high: 11, low: 9, close: 10 },   // TR 2
+    { high: 12, low: 10.5, close: 11 }, // TR 2 (high - previous close)
+    { high: 11, low: 7, close: 8 },    // TR 4
+    { high: 8.5, low: 8, close: 8.2 }  // TR 0.5
+  ];
+  const series = atr(bars, 3);
+
+  assert.deepEqual(series.slice(0, 2), [null, null]);
+  assertClose(series[2], 2, 1e-9, 'first ATR');
+  assertClose(series[3], (2 * 2 + 4) / 3, 1e-9, 'second ATR');
+  assertClose(series[4], (series[3] * 2 + 0.5) / 3, 1e-9, 'third ATR');
+});
+
+test('obv adds volume on up days and subtracts it on down days', () => {
+  const bars = [
+    { close: 10, volume: 100 },
+    { close: 11, volume: 200 },
+    { close: 11, volume: 300 },
+    { close: 9, volume: 150 },
+    { close: 12, volume: 50 }
+  ];
+  assert.deepEqual(obv(bars), [0, 200, 200, 50, 100]);
+});
+
+test('warm-up bars cover the longest indicator', () => {
+  const { specs } = parseIndicatorList('sma50,rsi14,obv');
+  assert.equal(warmupBars(specs), 50);
+  assert.equal(warmupBars(parseIndicatorList('macd').specs), 35);
+  assert.equal(warmupBars(parseIndicatorList('obv').specs), 0);
+});
+
+test('computeIndicators trims warm-up bars so values start at the window', () => {
+  const closes = Array.from({ length: 60 }, (_, i) => 100 + i);
+  const bars = closes.map(close => ({ high: close + 1, low: close - 1, close, volume: 10 }));
+  const { specs } = parseIndicatorList('sma20,macd,obv');
+
+  const result = computeIndicators(specs, bars, closes, 40);
+  assert.equal(result.sma20.length, 20);
+  assert.equal(result.sma20[0], 130.5);
+  assert.ok(result.macd.signal.every(value => value !== null));
+  // OBV restarts at the window's first bar
+  assert.equal(result.obv[0], 0);
+  assert.equal(result.obv[19], 190);
+});
@@ -0,0 +1,59 @@
+/**
+ * Keyword counting and the appeared/disappeared comparison between calls
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, countKeywords, compareKeywords } = require('../lib/keywords');
+
+const terms = list => list.map(row => row.term);
+
+test('tokens are lowercase with possessives and curly quotes normalized', () => {
+  assert.deepEqual(tokenize('Apple’s AI-driven R&D'), ['apple', 'ai-driven', 'r&d']);
+});
+
+test('stopwords, filler and numbers are skipped and bigrams never span them', () => {
+  const { totalWords, counts } = countKeywords(['Thank you. Cloud revenue grew 30 percent in cloud services']);
+  assert.equal(totalWords, 10);
+  assert.equal(counts.get('cloud'), 2);
+  assert.equal(counts.get('cloud revenue'), 1);
+  assert.equal(counts.get('cloud services'), 1);
+  // "grew 30" and "30 percent" would span a number
+  assert.equal(counts.get('revenue grew'), 1);
+  assert.equal(counts.has('grew 30'), false);
+  assert.equal(counts.has('thank'), false);
+});
+
+test('bigrams never span two statements', () => {
+  const { counts } = countKeywords(['Demand was strong', 'Supply caught up']);
+  assert.equal(counts.has('strong supply'), false);
+});
+
+test('terms new to the later call appeared and terms it dropped disappeared', () => {
+  const previous = ['Tariffs weighed on margins.', 'Tariffs remain the main headwind for margins.'];
+  const current = ['Agentic workloads lifted margins.', 'Agentic demand keeps growing.'];
+  const diff = compareKeywords(previous, current);
+
+  assert.deepEqual(terms(diff.appeared), ['agentic']);
+  assert.deepEqual(terms(diff.disappeared), ['tariffs']);
+  assert.deepEqual(diff.appeared[0], {
+    term: 'agentic',
+    previousCount: 0,
+    currentCount: 2,
+    previousPerThousand: 0,
+    currentPerThousand: 250
+  });
+  // A term mentioned once is not reported as new
+  assert.equal(terms(diff.appeared).includes('workloads'), false);
+});
+
+test('a shared term gains emphasis when its rate rises by half or more', () => {
+  const previous = ['Margins improved. Pricing held. Volumes grew. Costs fell.'];
+  const current = ['Margins improved. Margins expanded. Margins widened.'];
+  const diff = compareKeywords(previous, current);
+
+  assert.deepEqual(terms(diff.gainedEmphasis), ['margins']);
+  assert.deepEqual(terms(diff.lostEmphasis), []);
+});
@@ -0,0 +1,93 @@
+/**
+ * Archived macro readings, the provider's latest reading and the backtest's
+ * warning when readings miss rebalance dates
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReadingPeriod, withLatestReadings, readingAsOf, economicDataAsOf, describeMacroHistory } = require('../lib/macro-history');
+const { runBacktest } = require('../lib/backtest');
+const { resolveModelRequest } = require('../lib/recommendation');
+
+const ARCHIVE_END = describeMacroHistory().find(m => m.indicator === 'inflation').to;
+
+/**
+ * Weekdays from one "YYYY-MM-DD" date to another
+ */
+function tradingDays(from, to) {
+  const days = [];
+  for (const day = new Date(`${from}T00:00:00Z`); day.toISOString().slice(0, 10) <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) days.push(day.toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+test('provider periods are read as reading months', () => {
+  assert.equal(parseReadingPeriod('September 2025'), '2025-09');
+  assert.equal(parseReadingPeriod('2026-03'), '2026-03');
+  assert.equal(parseReadingPeriod('2026-03-31'), '2026-03');
+  assert.equal(parseReadingPeriod('2025'), null);
+  assert.equal(parseReadingPeriod('Recent'), null);
+});
+
+// Three monthly readings, the last published on 2024-04-15
+const ARCHIVE = {
+  inflation: {
+    label: 'CPI inflation',
+    source: 'test',
+    readings: [{ period: '2024-01', value: 3.1 }, { period: '2024-02', value: 3.2 }, { period: '2024-03', value: 3.5 }]
+  }
+};
+
+test('readingAsOf waits for the 15th of the month after the reading', () => {
+  assert.equal(readingAsOf('inflation', '2024-02-14', ARCHIVE), null);
+  assert.deepEqual(readingAsOf('inflation', '2024-02-15', ARCHIVE), { value: 3.1, period: '2024-01', published: '2024-02-15' });
+  assert.equal(readingAsOf('inflation', '2024-03-14', ARCHIVE).period, '2024-01');
+  assert.deepEqual(readingAsOf('inflation', '2024-03-15', ARCHIVE), { value: 3.2, period: '2024-02', published: '2024-03-15' });
+});
+
+test('readingAsOf drops a reading more than three months old', () => {
+  assert.equal(readingAsOf('inflation', '2024-06-30', ARCHIVE).period, '2024-03');
+  assert.equal(readingAsOf('inflation', '2024-07-01', ARCHIVE), null);
+  assert.equal(readingAsOf('unemployment', '2024-03-15', ARCHIVE), null);
+});
+
+test('a reading is known from the 15th of the next month and goes stale after three months', () => {
+  assert.equal(economicDataAsOf('2024-02-14').indicators.inflation.period, '2023-12');
+  assert.equal(economicDataAsOf('2024-02-15').indicators.inflation.period, '2024-01');
+  assert.equal(economicDataAsOf('2030-01-01').indicators.inflation.available, false);
+});
+
+test('the provider\'s latest reading extends the archive only when newer', () => {
+  const archive = withLatestReadings({
+    inflation: { value: 2.9, period: 'August 2030' },
+    unemployment: { value: 4.0, period: ARCHIVE_END.slice(0, 4) }
+  });
+
+  const september = economicDataAsOf('2030-09-20', archive).indicators;
+  assert.deepEqual(september.inflation, { value: 2.9, period: '2030-08', available: true });
+  assert.equal(september.unemployment.available, false);
+  assert.equal(economicDataAsOf('2030-09-10', archive).indicators.inflation.available, false);
+
+  const described = describeMacroHistory(archive);
+  assert.equal(described[0].to, ARCHIVE_END);
+  assert.equal(described[0].appended, '2030-08');
+  assert.equal(described[1].appended, null);
+});
+
+test('a backtest past the archive warns that macro readings are partial', () => {
+  const dates = tradingDays('2025-06-02', '2026-06-30');
+  const prices = dates.map((_, i) => 100 + i * 0.1);
+  const { model } = resolveModelRequest({});
+
+  const result = runBacktest({ dates, prices, calls: [], benchmark: null }, { rebalance: 'monthly', model });
+  assert.ok(result.coverage.economic < result.period.rebalances);
+  assert.equal(result.warnings.length, 1);
+  assert.equal(result.warnings[0].factor, 'economic');
+  assert.match(result.warnings[0].message, new RegExp(`only ${result.coverage.economic} of ${result.period.rebalances} rebalance dates`));
+
+  const covered = runBacktest({ dates: dates.slice(0, 60), prices: prices.slice(0, 60), calls: [], benchmark: null }, { rebalance: 'monthly', model });
+  assert.deepEqual(covered.warnings, []);
+});
@@ -0,0 +1,143 @@
+/**
+ * Provider selection and the history response shape shared by providers
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { getProvider } = require('../lib/providers');
+const { createFixtureProvider } = require('../lib/providers/fixture');
+const { createYahooProvider } = require('../lib/providers/yahoo');
+const { createApiNinjasProvider } = require('../lib/providers/api-ninjas');
+const { UpstreamError } = require('../lib/upstream');
+
+const BAR_FIELDS = ['adjClose', 'close', 'date', 'high', 'low', 'open', 'volume'];
+
+/**
+ * Answers every HTTPS request with a JSON body while a test runs
+ */
+function respondWith(t, body) {
+  t.mock.method(https, 'request', (options, onResponse) => {
+    const req = new EventEmitter();
+    req.setTimeout = () => req;
+    req.destroy = () => {};
+    req.end = () => {
+      const res = new EventEmitter();
+      res.statusCode = 200;
+      res.headers = {};
+      onResponse(res);
+      res.emit('data', JSON.stringify(body));
+      res.emit('end');
+    };
+    return req;
+  });
+}
+
+function withEnvironment(t, variables) {
+  const saved = Object.fromEntries(Object.keys(variables).map(name => [name, process.env[name]]));
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+  for (const [name, value] of Object.entries(variables)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+}
+
+test('MARKET_DATA_PROVIDER picks the provider', (t) => {
+  withEnvironment(t, { MARKET_DATA_PROVIDER: 'fixture', API_KEY: undefined });
+  const fixture = getProvider();
+  assert.equal(fixture.name, 'fixture');
+  assert.equal(fixture.configError, null);
+  assert.equal(typeof fixture.transcript, 'function');
+
+  process.env.MARKET_DATA_PROVIDER = 'live';
+  process.env.API_KEY = 'test-key';
+  const live = getProvider();
+  assert.equal(live.name, 'live');
+  assert.equal(live.configError, null);
+  assert.equal(typeof live.transcript, 'function');
+});
+
+test('the live provider without API_KEY keeps only price history', (t) => {
+  withEnvironment(t, { MARKET_DATA_PROVIDER: undefined, API_KEY: undefined });
+  const provider = getProvider();
+  assert.equal(provider.name, 'live');
+  assert.match(provider.configError, /API_KEY/);
+  assert.equal(typeof provider.history, 'function');
+  assert.equal(provider.transcript, undefined);
+});
+
+test('an unknown provider is a configuration error', (t) => {
+  withEnvironment(t, { MARKET_DATA_PROVIDER: 'bogus' });
+  assert.match(getProvider().configError, /Unknown MARKET_DATA_PROVIDER: bogus/);
+});
+
+test('fixture and Yahoo history have the same shape', async (t) => {
+  respondWith(t, {
+    chart: {
+      result: [{
+        meta: { currency: 'USD' },
+        timestamp: [1762180200, 1762266600],
+        indicators: {
+          quote: [{ open: [270.4, 268.6], high: [270.8, 271.4], low: [266.9, 267.1], close: [269.05, 270.04], volume: [50194600, 49274800] }],
+          adjclose: [{ adjclose: [269.05, 270.04] }]
+        }
+      }]
+    }
+  });
+
+  const live = await createYahooProvider().history('AAPL', { range: '5d', interval: '1d' });
+  const fixture = await createFixtureProvider().history('AAPL', { range: '5d', interval: '1d' });
+
+  assert.deepEqual(Object.keys(live).sort(), Object.keys(fixture).sort());
+  for (const result of [live, fixture]) {
+    assert.equal(result.ticker, 'AAPL');
+    assert.equal(result.currency, 'USD');
+    assert.equal(result.interval, '1d');
+    for (const bar of result.bars) {
+      assert.deepEqual(Object.keys(bar).sort(), BAR_FIELDS);
+      assert.match(bar.date, /^\d{4}-\d{2}-\d{2}$/);
+    }
+  }
+  assert.equal(live.bars[0].date, '2025-11-03');
+});
+
+test('Yahoo reports an unknown ticker as a 404 UpstreamError', async (t) => {
+  respondWith(t, { chart: { result: null, error: { code: 'Not Found' } } });
+
+  await assert.rejects(createYahooProvider().history('ZZZZ', { range: '1mo', interval: '1d' }), (error) => {
+    assert.ok(error instanceof UpstreamError);
+    assert.equal(error.statusCode, 404);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+});
+
+test('API Ninjas reports an empty filing as a 404 UpstreamError', async (t) => {
+  respondWith(t, {});
+
+  await assert.rejects(createApiNinjasProvider('test-key').earnings('AAPL', { year: 2026, quarter: 3 }), (error) => {
+    assert.ok(error instanceof UpstreamError);
+    assert.equal(error.notFound, true);
+    return true;
+  });
+});
+
+test('fixture intraday requests fall back to daily bars', async () => {
+  const { interval, bars } = await createFixtureProvider().history('AAPL', { range: '5d', interval: '30m' });
+  assert.equal(interval, '1d');
+  assert.equal(bars.length, 5);
+});
+
+test('fixture weekly bars are aggregated from daily bars', async () => {
+  const { interval, bars } = await createFixtureProvider().history('AAPL', { range: '3mo', interval: '1wk' });
+  assert.equal(interval, '1wk');
+  assert.ok(bars.length >= 12 && bars.length <= 14);
+});
@@ -0,0 +1,24 @@
+/**
+ * Model overrides from the request query
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveModelRequest } = require('../lib/recommendation');
+
+test('a known threshold is overridden', () => {
+  const { model, error } = resolveModelRequest({ thresholds: 'sentiment.positiveScore:0.6' });
+  assert.equal(error, null);
+  assert.equal(model.factors.find(f => f.id === 'sentiment').thresholds.positiveScore, 0.6);
+  assert.equal(model.tuned, true);
+});
+
+test('inherited object keys are not thresholds', () => {
+  for (const name of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+    const { model, error } = resolveModelRequest({ thresholds: `sentiment.${name}:1` });
+    assert.equal(model, null, name);
+    assert.match(error, /Unknown threshold/, name);
+  }
+});
@@ -0,0 +1,36 @@
+/**
+ * Aligning price series on shared dates and the risk label
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { alignSeries, alignToDates, classifyRisk, UNKNOWN_RISK_LEVEL } = require('../lib/risk');
+
+test('alignSeries keeps the dates every series has', () => {
+  const aligned = alignSeries([
+    { dates: ['d1', 'd2', 'd3'], prices: [1, 2, 3] },
+    { dates: ['d1', 'd3'], prices: [10, 30] }
+  ]);
+  assert.deepEqual(aligned, { dates: ['d1', 'd3'], prices: [[1, 3], [10, 30]] });
+});
+
+test('alignToDates fits a reference series to given dates without dropping any', () => {
+  const dates = ['2025-01-02', '2025-01-03', '2025-01-06', '2025-01-07'];
+  const benchmark = { dates: ['2025-01-03', '2025-01-07'], prices: [100, 102] };
+  assert.deepEqual(alignToDates(dates, benchmark), [null, 100, 100, 102]);
+});
+
+test('the risk label starts from the volatility band and moves up for drawdown and beta', () => {
+  const calm = { volatilityPercent: 15, maxDrawdown: { percent: -10 }, benchmark: null };
+  assert.equal(classifyRisk(calm).level, 'Low');
+  assert.equal(classifyRisk({ ...calm, maxDrawdown: { percent: -30 } }).level, 'Moderate');
+  assert.equal(classifyRisk({ ...calm, volatilityPercent: 60, benchmark: { ticker: 'SPY', beta: 2 } }).level, 'High');
+});
+
+test('without a volatility figure the risk level is unknown, not low', () => {
+  const { level, reasons } = classifyRisk({ volatilityPercent: null, maxDrawdown: { percent: -5 }, benchmark: null });
+  assert.equal(level, UNKNOWN_RISK_LEVEL);
+  assert.match(reasons[0], /volatility could not be computed/);
+});
@@ -0,0 +1,48 @@
+/**
+ * Stored call scores outlive the store that wrote them
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScoreStore } = require('../lib/score-store');
+const { LEXICON_VERSION } = require('../lib/sentiment');
+
+function useStoreDir(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'score-store-test-'));
+  const saved = process.env.SCORE_STORE_DIR;
+  process.env.SCORE_STORE_DIR = directory;
+  t.after(() => {
+    if (saved === undefined) delete process.env.SCORE_STORE_DIR;
+    else process.env.SCORE_STORE_DIR = saved;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  return directory;
+}
+
+test('a new store reads back scores written by an earlier one', (t) => {
+  const directory = useStoreDir(t);
+  createScoreStore('calls').set('AAPL', { year: 2025, quarter: 4 }, { score: 0.7 });
+
+  assert.ok(fs.existsSync(path.join(directory, 'calls', LEXICON_VERSION, 'AAPL_2025Q4.json')));
+  assert.deepEqual(createScoreStore('calls').get('AAPL', { year: 2025, quarter: 4 }), { score: 0.7 });
+});
+
+test('a call not stored yet is undefined, one with nothing to score is null', (t) => {
+  useStoreDir(t);
+  const store = createScoreStore('calls');
+  store.set('MSFT', { year: 2025, quarter: 1 }, null);
+
+  assert.equal(store.get('MSFT', { year: 2025, quarter: 2 }), undefined);
+  assert.equal(createScoreStore('calls').get('MSFT', { year: 2025, quarter: 1 }), null);
+});
+
+test('stores with different names keep their scores apart', (t) => {
+  useStoreDir(t);
+  createScoreStore('one').set('AAPL', { year: 2025, quarter: 4 }, { score: 1 });
+  assert.equal(createScoreStore('two').get('AAPL', { year: 2025, quarter: 4 }), undefined);
+});
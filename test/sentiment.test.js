@@ -0,0 +1,61 @@
+/**
+ * Lexicon scoring with negations, intensifiers and diminishers
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreSentence, POLARITY_THRESHOLD } = require('../lib/sentiment');
+
+const weights = sentence => scoreSentence(sentence).terms;
+
+test('lexicon words only match whole words', () => {
+  // "up" inside "support" and "loss" inside "glossary" are not scored
+  assert.deepEqual(weights('We support the updated glossary of terms.'), []);
+  assert.equal(scoreSentence('We support the updated glossary of terms.').sentiment, 'NEUTRAL');
+  assert.deepEqual(weights('Demand was strong this quarter.'), [
+    { term: 'demand', weight: 0.5 },
+    { term: 'strong', weight: 2 }
+  ]);
+});
+
+test('a negation flips and damps the word after it', () => {
+  assert.deepEqual(weights('We are not seeing weakness in demand.'), [
+    { term: 'not weakness', weight: 1.5 },
+    // "demand" is more than three words after "not"
+    { term: 'demand', weight: 0.5 }
+  ]);
+  assert.deepEqual(weights("Margins didn't decline this quarter."), [{ term: 'not decline', weight: 1.13 }]);
+  assert.equal(scoreSentence('Results were not strong this quarter.').sentiment, 'NEGATIVE');
+});
+
+test('a negation more than three words back does not apply', () => {
+  assert.deepEqual(weights('It is not that we have seen weakness.'), [{ term: 'weakness', weight: -2 }]);
+});
+
+test('intensifiers scale a word up and diminishers scale it down', () => {
+  assert.deepEqual(weights('Revenue was very strong overall.'), [{ term: 'strong', weight: 3 }]);
+  assert.deepEqual(weights('Costs came in slightly lower overall.'), [
+    { term: 'costs', weight: -0.5 },
+    { term: 'lower', weight: -0.5 }
+  ]);
+  assert.ok(scoreSentence('Revenue was very strong overall.').compound > scoreSentence('Revenue was strong overall.').compound);
+});
+
+test('a negated intensified word is both scaled and flipped', () => {
+  assert.deepEqual(weights('Growth was not very strong overall.'), [
+    { term: 'growth', weight: 1.5 },
+    { term: 'not strong', weight: -2.25 }
+  ]);
+});
+
+test('the compound tone sets the polarity and the 0-1 score', () => {
+  const positive = scoreSentence('We delivered record revenue this quarter.');
+  assert.equal(positive.sentiment, 'POSITIVE');
+  assert.ok(positive.compound >= POLARITY_THRESHOLD);
+  assert.equal(positive.score, Number(((positive.compound + 1) / 2).toFixed(3)));
+
+  const neutral = scoreSentence('Revenue was broadly in line with guidance.');
+  assert.deepEqual([neutral.sentiment, neutral.compound, neutral.score], ['NEUTRAL', 0, 0.5]);
+});
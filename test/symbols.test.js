@@ -0,0 +1,104 @@
+/**
+ * Ticker validation with a symbol master that is not a complete listing,
+ * and unknown tickers rejected before a handler's upstream calls
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTicker, lookupSymbol, findUnknownTicker } = require('../lib/symbols');
+const { resolveCompanies } = require('../lib/watchlists');
+const { UpstreamError } = require('../lib/upstream');
+
+test('a listed ticker comes with its symbol record', () => {
+  const { ticker, symbol, error } = validateTicker(' aapl ');
+  assert.equal(ticker, 'AAPL');
+  assert.equal(symbol.name, 'Apple Inc.');
+  assert.equal(error, null);
+});
+
+test('a well-formed ticker outside the master is valid without a record', () => {
+  assert.deepEqual(validateTicker('ZZZZ'), { ticker: 'ZZZZ', symbol: null, error: null });
+});
+
+test('missing and malformed tickers are rejected', () => {
+  assert.match(validateTicker('').error, /required/);
+  assert.match(validateTicker('1ABC').error, /Malformed/);
+  assert.match(validateTicker('AAPL/../X').error, /Malformed/);
+});
+
+test('companies outside the master are named by their ticker', () => {
+  const { companies, error } = resolveCompanies({ tickers: 'MSFT,ZZZZ' });
+  assert.equal(error, null);
+  assert.deepEqual(companies, [
+    { ticker: 'MSFT', name: 'Microsoft Corporation' },
+    { ticker: 'ZZZZ', name: 'ZZZZ' }
+  ]);
+});
+
+test('a vendor 404 reaches the client as 404', () => {
+  const notFound = new UpstreamError('No data found for ZZZZ', { code: 'HTTP', statusCode: 404, hostname: 'h', path: '/' });
+  const serverError = new UpstreamError('Upstream error', { code: 'HTTP', statusCode: 500, hostname: 'h', path: '/' });
+  assert.equal(notFound.httpStatus, 404);
+  assert.equal(serverError.httpStatus, 502);
+});
+
+/**
+ * Provider that has prices for some tickers and answers the rest with an error
+ */
+function historyProvider(listed, failure) {
+  const requested = [];
+  return {
+    requested,
+    async history(ticker) {
+      requested.push(ticker);
+      if (listed.includes(ticker)) {
+        return { ticker, currency: 'USD', interval: '1d', bars: [{ date: '2025-11-03', close: 10 }] };
+      }
+      throw failure(ticker);
+    }
+  };
+}
+
+const notFound = ticker => new UpstreamError(`No data found for ${ticker}`, { code: 'HTTP', statusCode: 404, hostname: 'h', path: '/' });
+const outage = () => new UpstreamError('Upstream error', { code: 'HTTP', statusCode: 503, hostname: 'h', path: '/' });
+
+test('a ticker neither the master nor the provider knows is found unknown', async () => {
+  const provider = historyProvider(['LISTX'], notFound);
+  assert.equal(await findUnknownTicker(provider, ['AAPL', 'LISTX', 'NOPEX']), 'NOPEX');
+  // Master tickers never reach the provider
+  assert.deepEqual(provider.requested.sort(), ['LISTX', 'NOPEX']);
+
+  const { symbol } = await lookupSymbol(provider, 'LISTX');
+  assert.equal(symbol.source, 'provider');
+});
+
+test('a lookup the provider cannot answer is not cached and lets the ticker through', async () => {
+  const provider = historyProvider([], outage);
+  assert.equal(await findUnknownTicker(provider, ['DOWNX']), null);
+  assert.equal(await findUnknownTicker(provider, ['DOWNX']), null);
+  assert.equal(provider.requested.length, 2);
+});
+
+test('handlers reject an unknown ticker with a 400 before their own calls', async (t) => {
+  const saved = process.env.MARKET_DATA_PROVIDER;
+  process.env.MARKET_DATA_PROVIDER = 'fixture';
+  t.after(() => {
+    if (saved === undefined) delete process.env.MARKET_DATA_PROVIDER;
+    else process.env.MARKET_DATA_PROVIDER = saved;
+  });
+
+  const handler = require('../api/history');
+  const response = { headers: {}, statusCode: null, body: null };
+  const res = {
+    setHeader(name, value) { response.headers[name] = value; },
+    status(code) { response.statusCode = code; return this; },
+    json(body) { response.body = body; return this; },
+    end() { return this; }
+  };
+  await handler({ method: 'GET', query: { ticker: 'ZZZZ' } }, res);
+
+  assert.equal(response.statusCode, 400);
+  assert.deepEqual(response.body, { error: 'Bad request', message: 'Unknown ticker symbol: ZZZZ' });
+});
@@ -0,0 +1,42 @@
+/**
+ * Theme phrases matched on word boundaries, and mentions by speaker type
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchThemes, countThemes } = require('../lib/themes');
+
+test('phrases only match whole words', () => {
+  // "ai" inside "said", "maintain" or "Taiwan" is not an AI mention
+  assert.equal(matchThemes('He said we maintain our Taiwan supply chain').has('ai'), false);
+  assert.deepEqual(matchThemes('AI demand and our AI-first roadmap').get('ai'), ['ai', 'ai']);
+  // "cloud" inside "Cloudflare" and "margin" inside "marginal" don't count either
+  assert.equal(matchThemes('Cloudflare saw a marginal change').size, 0);
+});
+
+test('matching ignores case and treats spaces and hyphens alike', () => {
+  assert.deepEqual(matchThemes('Full-Year OUTLOOK and full year guidance').get('guidance'), ['full year', 'outlook', 'full year', 'guidance']);
+});
+
+test('the longest phrase wins over a phrase it contains', () => {
+  assert.deepEqual(matchThemes('We are adding data centers').get('cloud'), ['data centers']);
+  assert.deepEqual(matchThemes('Large language models run on GPUs').get('ai'), ['large language models', 'gpus']);
+});
+
+test('mentions are broken down by speaker type', () => {
+  const { totalWords, themes } = countThemes([
+    { name: 'Jane Doe', role: 'Chief Executive Officer', text: 'AI and cloud drove growth.' },
+    { name: 'John Roe', role: 'Analyst', text: 'How do tariffs affect AI capex?' }
+  ]);
+  const byId = Object.fromEntries(themes.map(theme => [theme.id, theme]));
+
+  assert.equal(totalWords, 11);
+  assert.equal(byId.ai.mentions, 2);
+  assert.deepEqual([byId.ai.byType.ceo, byId.ai.byType.analyst], [1, 1]);
+  assert.equal(byId.macro.byType.analyst, 1);
+  assert.equal(byId.capex.mentions, 1);
+  assert.equal(byId.headcount.mentions, 0);
+  assert.equal(byId.ai.perThousandWords, 181.82);
+});
@@ -0,0 +1,36 @@
+/**
+ * Transcript lookups: only a missing call counts as "no transcript"
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchTranscript, classifySpeaker } = require('../lib/transcripts');
+const { UpstreamError } = require('../lib/upstream');
+
+function failingProvider(statusCode, code = 'HTTP') {
+  return {
+    async transcript() {
+      throw new UpstreamError(`Upstream error: ${statusCode}`, { code, statusCode, hostname: 'api.api-ninjas.com', path: '/v1/earningstranscript' });
+    }
+  };
+}
+
+test('a call the vendor does not have is null', async () => {
+  assert.equal(await fetchTranscript(failingProvider(404), 'AAPL', { year: 2020, quarter: 1 }), null);
+});
+
+test('auth, bad request and parse failures are not "no call"', async () => {
+  for (const [statusCode, code] of [[401, 'HTTP'], [403, 'HTTP'], [400, 'HTTP'], [200, 'PARSE']]) {
+    await assert.rejects(fetchTranscript(failingProvider(statusCode, code), 'AAPL', null), error => error.statusCode === statusCode);
+  }
+});
+
+test('speakers are classified from their role', () => {
+  assert.equal(classifySpeaker({ name: 'Operator', role: '' }), 'operator');
+  assert.equal(classifySpeaker({ name: 'Tim Cook', role: 'Chief Executive Officer' }), 'ceo');
+  assert.equal(classifySpeaker({ name: 'Kevan Parekh', role: 'CFO' }), 'cfo');
+  assert.equal(classifySpeaker({ name: 'Erik Woodring', role: 'Morgan Stanley - Analyst' }), 'analyst');
+  assert.equal(classifySpeaker({ name: 'Suhasini Chandramouli', role: 'Director of Investor Relations' }), 'executive');
+});
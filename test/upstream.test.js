@@ -0,0 +1,119 @@
+/**
+ * Upstream client: concurrency limit, retry count and the request deadline
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { withLimit, request, parseRetries, UpstreamError } = require('../lib/upstream');
+
+test('a freed slot goes to the queued task, not to a caller arriving meanwhile', async () => {
+  let running = 0;
+  let peak = 0;
+  const task = (until) => async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await until;
+    running--;
+  };
+  const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+
+  let release;
+  const first = withLimit('limit-test', 1, task(new Promise(resolve => { release = resolve; })));
+  const queued = withLimit('limit-test', 1, task(nextTurn()));
+
+  // Callers arriving at every microtask step while the first task finishes
+  const late = [];
+  release();
+  let step = Promise.resolve();
+  for (let i = 0; i < 10; i++) {
+    step = step.then(() => late.push(withLimit('limit-test', 1, task(nextTurn()))));
+  }
+  await step;
+
+  await Promise.all([first, queued, ...late]);
+  assert.equal(peak, 1);
+});
+
+test('a response that keeps trickling in still times out', async (t) => {
+  let destroyed = false;
+  t.mock.method(https, 'request', (options, onResponse) => {
+    const req = new EventEmitter();
+    const res = new EventEmitter();
+    let drip = null;
+    req.setTimeout = () => req;
+    req.destroy = () => {
+      destroyed = true;
+      clearInterval(drip);
+    };
+    req.end = () => {
+      res.statusCode = 200;
+      res.headers = {};
+      onResponse(res);
+      // A byte every 20ms never leaves the socket idle for long
+      drip = setInterval(() => res.emit('data', ' '), 20);
+    };
+    return req;
+  });
+
+  await assert.rejects(request({ hostname: 'slow.example', path: '/', timeout: 100, retries: 0 }), (error) => {
+    assert.ok(error instanceof UpstreamError);
+    assert.equal(error.code, 'TIMEOUT');
+    return true;
+  });
+  assert.equal(destroyed, true);
+});
+
+test('a retry count that is not a whole number of at least 0 falls back to the default', () => {
+  assert.equal(parseRetries('3', 2), 3);
+  assert.equal(parseRetries('0', 2), 0);
+  assert.equal(parseRetries('abc', 2), 2);
+  assert.equal(parseRetries('-1', 2), 2);
+  assert.equal(parseRetries(undefined, 2), 2);
+});
+
+test('an unusable retry count still stops retrying', async (t) => {
+  let attempts = 0;
+  t.mock.method(https, 'request', (options, onResponse) => {
+    const req = new EventEmitter();
+    req.destroy = () => {};
+    req.end = () => {
+      attempts++;
+      const res = new EventEmitter();
+      res.statusCode = 503;
+      res.headers = {};
+      onResponse(res);
+      res.emit('end');
+    };
+    return req;
+  });
+
+  await assert.rejects(request({ hostname: 'down.example', path: '/', retries: NaN, baseDelay: 1 }), (error) => {
+    assert.equal(error.statusCode, 503);
+    return true;
+  });
+  assert.equal(attempts, 3);
+});
+
+test('retries stop at the deadline across attempts', async (t) => {
+  let attempts = 0;
+  t.mock.method(https, 'request', () => {
+    const req = new EventEmitter();
+    req.destroy = () => {};
+    // Never answers, so every attempt runs into its timeout
+    req.end = () => { attempts++; };
+    return req;
+  });
+
+  const startedAt = Date.now();
+  await assert.rejects(request({ hostname: 'hung.example', path: '/', timeout: 100, retries: 5, baseDelay: 1 }), (error) => {
+    assert.equal(error.code, 'TIMEOUT');
+    return true;
+  });
+  // The default deadline is twice the timeout, not six attempts' worth
+  assert.ok(Date.now() - startedAt < 400, `took ${Date.now() - startedAt}ms`);
+  assert.ok(attempts <= 3, `made ${attempts} attempts`);
+});
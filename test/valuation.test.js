@@ -0,0 +1,86 @@
+/**
+ * TTM fundamentals, multiples and the peer median
+ *
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeValuation, comparePeers } = require('../lib/valuation');
+
+/**
+ * Quarterly filing with round figures
+ */
+function filing(periodEndDate, { revenue, netIncome, eps, operatingIncome, depreciation, fcf }) {
+  return {
+    filing_info: { period_end_date: periodEndDate },
+    income_statement: {
+      total_revenue: revenue,
+      net_income: netIncome,
+      earnings_per_share_diluted: eps,
+      operating_income: operatingIncome,
+      weighted_average_shares_diluted: 100
+    },
+    balance_sheet: { total_debt: 500, cash_and_equivalents: 200, stockholders_equity: 2000 },
+    cash_flow: { depreciation_and_amortization: depreciation, free_cash_flow: fcf }
+  };
+}
+
+const FILINGS = [
+  filing('2025-09-27', { revenue: 400, netIncome: 40, eps: 0.4, operatingIncome: 60, depreciation: 10, fcf: 30 }),
+  filing('2025-06-28', { revenue: 300, netIncome: 30, eps: 0.3, operatingIncome: 50, depreciation: 10, fcf: 20 }),
+  filing('2025-03-29', { revenue: 200, netIncome: 20, eps: 0.2, operatingIncome: 40, depreciation: 10, fcf: 10 }),
+  filing('2024-12-28', { revenue: 100, netIncome: 10, eps: 0.1, operatingIncome: 30, depreciation: 10, fcf: 40 }),
+  // Outside the TTM window
+  filing('2024-09-28', { revenue: 9999, netIncome: 9999, eps: 99, operatingIncome: 9999, depreciation: 9999, fcf: 9999 })
+];
+
+test('TTM fundamentals sum the latest four filings', () => {
+  const { ttm } = computeValuation({ price: 20, filings: FILINGS });
+  assert.deepEqual(ttm, {
+    quarters: 4,
+    periodEndDate: '2025-09-27',
+    revenue: 1000,
+    netIncome: 100,
+    ebitda: 220,
+    freeCashFlow: 100,
+    epsDiluted: 1
+  });
+});
+
+test('multiples use the price, latest shares and TTM figures', () => {
+  const { marketCap, enterpriseValue, multiples } = computeValuation({ price: 20, filings: FILINGS });
+  assert.equal(marketCap, 2000);
+  assert.equal(enterpriseValue, 2300);
+  assert.deepEqual(multiples, {
+    peRatio: 20,
+    priceToSales: 2,
+    evToEbitda: 10.45,
+    priceToBook: 1,
+    fcfYieldPercent: 5
+  });
+});
+
+test('fewer than four filings give no TTM figures or TTM multiples', () => {
+  const { ttm, multiples } = computeValuation({ price: 20, filings: FILINGS.slice(0, 3) });
+  assert.equal(ttm, null);
+  assert.equal(multiples.peRatio, null);
+  assert.equal(multiples.priceToBook, 1);
+});
+
+test('a multiple on losses is null', () => {
+  const losing = FILINGS.slice(0, 4).map(f => ({ ...f, income_statement: { ...f.income_statement, earnings_per_share_diluted: -0.5 } }));
+  assert.equal(computeValuation({ price: 20, filings: losing }).multiples.peRatio, null);
+});
+
+test('peers are placed against the median of the non-null multiples', () => {
+  const valuation = peRatio => ({
+    multiples: { peRatio, priceToSales: null, evToEbitda: null, priceToBook: null, fcfYieldPercent: null }
+  });
+  const { peerMedian, relativeToMedian } = comparePeers([valuation(10), valuation(30), valuation(20), valuation(null), valuation(40)]);
+
+  // Median of 10, 20, 30 and 40
+  assert.equal(peerMedian.peRatio, 25);
+  assert.equal(peerMedian.priceToSales, null);
+  assert.deepEqual(relativeToMedian.map(relative => relative.peRatio), [-60, 20, -20, null, 60]);
+});